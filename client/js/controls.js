@@ -142,7 +142,22 @@ class Controls {
         const twitchLoginBtn = document.getElementById('twitchLoginBtn');
         if (twitchLoginBtn) {
             twitchLoginBtn.addEventListener('click', () => {
-                window.location.href = `${basePath}/auth/twitch`;
+                window.location.href = `${basePath}/auth/twitch?room=${encodeURIComponent(game.networking.roomId)}`;
+            });
+        }
+
+        // Watch without a UFO, and join the game from there
+        const spectateBtn = document.getElementById('spectateBtn');
+        if (spectateBtn) {
+            spectateBtn.addEventListener('click', () => {
+                game.startSpectating();
+            });
+        }
+
+        const joinGameBtn = document.getElementById('joinGameBtn');
+        if (joinGameBtn) {
+            joinGameBtn.addEventListener('click', () => {
+                game.joinFromSpectating();
             });
         }
 
@@ -224,18 +239,23 @@ class Controls {
 
     // Canvas-specific controls
     setupCanvasControls(canvas, game) {
-        canvas.addEventListener('click', (e) => {
+        // Mouse position in canvas pixels (the canvas is displayed scaled down)
+        const toCanvasPosition = (e) => {
             const rect = canvas.getBoundingClientRect();
-            const canvasX = e.clientX - rect.left;
-            const canvasY = e.clientY - rect.top;
+            return {
+                x: (e.clientX - rect.left) * canvas.width / rect.width,
+                y: (e.clientY - rect.top) * canvas.height / rect.height
+            };
+        };
+
+        canvas.addEventListener('click', (e) => {
+            const { x: canvasX, y: canvasY } = toCanvasPosition(e);
             
             this.emit('canvasClick', { x: canvasX, y: canvasY });
         });
 
         canvas.addEventListener('mousemove', (e) => {
-            const rect = canvas.getBoundingClientRect();
-            const canvasX = e.clientX - rect.left;
-            const canvasY = e.clientY - rect.top;
+            const { x: canvasX, y: canvasY } = toCanvasPosition(e);
             
             this.emit('canvasMouseMove', { x: canvasX, y: canvasY });
             
@@ -245,6 +265,12 @@ class Controls {
             }
         });
 
+        // Zoom the camera with the mouse wheel
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            game.zoomCamera(e.deltaY < 0 ? 1.1 : 1 / 1.1);
+        }, { passive: false });
+
         // Handle beam targeting on click
         this.on('canvasClick', (pos) => {
             if (this.isBeamActive()) {
@@ -18,7 +18,7 @@ class LevelEditor {
         this.level = {
             name: 'new-level',
             description: '',
-            version: '1.0',
+            version: LevelSchema.CURRENT_VERSION,
             backgroundImage: '',
             objects: [],
             connections: []
@@ -26,6 +26,7 @@ class LevelEditor {
 
         this.backgroundImage = null; // To store the loaded image
         this.objectImages = new Map(); // Cache for object background images
+        this.assetTarget = null; // Id of the input the asset picker fills
 
         this.objectIdCounter = 1;
         this.connectionIdCounter = 1;
@@ -63,7 +64,7 @@ class LevelEditor {
 
         this.setupEventListeners();
         this.updateObjectList();
-        this.render();
+        this.applyWorldSize();
     }
 
     async loadConfig() {
@@ -103,6 +104,32 @@ class LevelEditor {
         document.getElementById('loadLevel').addEventListener('click', () => this.loadLevel());
         document.getElementById('saveLevel').addEventListener('click', () => this.saveLevel());
         document.getElementById('testLevel').addEventListener('click', () => this.testLevel());
+        document.getElementById('exportBundle').addEventListener('click', () => this.exportBundle());
+        document.getElementById('importBundle').addEventListener('click', () => {
+            document.getElementById('importBundleFile').click();
+        });
+        document.getElementById('importBundleFile').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.importBundle(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        // Asset picker for level and object backgrounds
+        document.querySelectorAll('[data-asset-target]').forEach(button => {
+            button.addEventListener('click', () => this.openAssetPicker(button.dataset.assetTarget));
+        });
+        document.getElementById('closeAssetPicker').addEventListener('click', () => this.closeAssetPicker());
+        document.getElementById('clearAsset').addEventListener('click', () => this.chooseAsset(''));
+        document.getElementById('uploadAsset').addEventListener('click', () => {
+            document.getElementById('uploadAssetFile').click();
+        });
+        document.getElementById('uploadAssetFile').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.uploadAsset(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
         
         // Grid controls
         document.getElementById('showGrid').addEventListener('change', (e) => {
@@ -133,6 +160,29 @@ class LevelEditor {
             this.loadBackgroundImage();
             this.render();
         });
+
+        ['worldWidth', 'worldHeight'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                const width = parseInt(document.getElementById('worldWidth').value);
+                const height = parseInt(document.getElementById('worldHeight').value);
+                if (!(width >= LevelSchema.MIN_WORLD_SIZE && width <= LevelSchema.MAX_WORLD_SIZE &&
+                      height >= LevelSchema.MIN_WORLD_SIZE && height <= LevelSchema.MAX_WORLD_SIZE)) {
+                    this.updateStatus(`World size must be ${LevelSchema.MIN_WORLD_SIZE} to ${LevelSchema.MAX_WORLD_SIZE}`);
+                    return;
+                }
+
+                this.level.world = { width, height };
+                this.applyWorldSize();
+                this.updateJsonDisplay();
+            });
+        });
+
+        document.querySelectorAll('#boundsLeft, #boundsTop, #boundsRight, #boundsBottom, ' +
+            '#edgeLeft, #edgeTop, #edgeRight, #edgeBottom').forEach(input => {
+            input.addEventListener('change', () => {
+                this.updateBoundsFromInputs();
+            });
+        });
         
         // Show/hide nextLevel field when goal checkbox is toggled
         document.getElementById('objectGoal').addEventListener('change', (e) => {
@@ -1213,6 +1263,70 @@ class LevelEditor {
         img.src = this.level.backgroundImage;
     }
 
+    // Level bounds from the sidebar. Only values differing from the defaults
+    // are stored, a level without any keeps no bounds field.
+    updateBoundsFromInputs() {
+        const bounds = {};
+        const edges = {};
+
+        LevelSchema.EDGES.forEach(edge => {
+            const name = edge.charAt(0).toUpperCase() + edge.slice(1);
+            const value = document.getElementById(`bounds${name}`).value;
+            if (value !== '') {
+                bounds[edge] = parseFloat(value);
+            }
+
+            const behavior = document.getElementById(`edge${name}`).value;
+            if (behavior !== 'respawn') {
+                edges[edge] = behavior;
+            }
+        });
+
+        if (Object.keys(edges).length > 0) {
+            bounds.edges = edges;
+        }
+        if (Object.keys(bounds).length > 0) {
+            this.level.bounds = bounds;
+        } else {
+            delete this.level.bounds;
+        }
+
+        this.render();
+        this.updateJsonDisplay();
+    }
+
+    // Show the level's bounds in the sidebar, defaults as placeholders
+    showBounds() {
+        const declared = this.level.bounds || {};
+        const bounds = LevelSchema.getBounds(this.level);
+        const defaults = LevelSchema.getBounds({ world: this.level.world });
+
+        LevelSchema.EDGES.forEach(edge => {
+            const name = edge.charAt(0).toUpperCase() + edge.slice(1);
+            const input = document.getElementById(`bounds${name}`);
+            input.value = typeof declared[edge] === 'number' ? declared[edge] : '';
+            input.placeholder = defaults[edge];
+            document.getElementById(`edge${name}`).value = bounds.edges[edge];
+        });
+    }
+
+    // Size the canvas to the level's world. The display scale stays the same,
+    // larger worlds scroll in the canvas container.
+    applyWorldSize() {
+        const world = LevelSchema.getWorldSize(this.level);
+        document.getElementById('worldWidth').value = world.width;
+        document.getElementById('worldHeight').value = world.height;
+        this.showBounds();
+
+        if (this.canvas.width !== world.width || this.canvas.height !== world.height) {
+            this.canvas.width = world.width;
+            this.canvas.height = world.height;
+            this.canvas.style.width = `${world.width / this.scaleX}px`;
+            this.canvas.style.height = `${world.height / this.scaleY}px`;
+        }
+        this.render();
+    }
+
     render() {
         try {
             if (!this.validateCanvasState()) {
@@ -1245,6 +1359,11 @@ class LevelEditor {
                 this.drawGrid();
             }
 
+            // Declared bounds, where they are inside the world
+            if (this.level.bounds) {
+                this.drawBounds();
+            }
+
             // Draw connections first (behind objects)
             if (this.level.connections) {
                 this.level.connections.forEach(connection => {
@@ -1271,6 +1390,17 @@ class LevelEditor {
         }
     }
 
+    drawBounds() {
+        const bounds = LevelSchema.getBounds(this.level);
+
+        this.ctx.save();
+        this.ctx.strokeStyle = '#ff6b6b';
+        this.ctx.lineWidth = 3;
+        this.ctx.setLineDash([15, 10]);
+        this.ctx.strokeRect(bounds.left, bounds.top, bounds.right - bounds.left, bounds.bottom - bounds.top);
+        this.ctx.restore();
+    }
+
     drawGrid() {
         this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
         this.ctx.lineWidth = 1;
@@ -1615,7 +1745,7 @@ class LevelEditor {
             this.level = {
                 name: 'new-level',
                 description: '',
-                version: '1.0',
+                version: LevelSchema.CURRENT_VERSION,
                 backgroundImage: '',
                 objects: [],
                 connections: []
@@ -1625,6 +1755,7 @@ class LevelEditor {
             document.getElementById('levelDescription').value = this.level.description;
             document.getElementById('backgroundImage').value = '';
             this.backgroundImage = null;
+            this.applyWorldSize();
 
             this.selectedObject = null;
             this.objectIdCounter = 1;
@@ -1641,45 +1772,217 @@ class LevelEditor {
         if (!levelName) return;
 
         try {
-            const response = await fetch(`${this.basePath}/api/levels/${levelName}`);
+            // Offer earlier revisions when the level has a history
+            let revisionId = '';
+            const revisionsResponse = await fetch(`${this.basePath}/api/levels/${levelName}/revisions`);
+            if (revisionsResponse.ok) {
+                const revisions = await revisionsResponse.json();
+                if (revisions.length > 0) {
+                    const choices = revisions.map(revision =>
+                        `#${revision.id} ${revision.action} ${new Date(revision.createdAt).toLocaleString()}` +
+                        `${revision.author ? ` by ${revision.author}` : ''}${revision.message ? `: ${revision.message}` : ''}`
+                    ).join('\n');
+                    revisionId = prompt(`${choices}\n\nEnter a revision number to load, or leave empty for the latest:`, '');
+                    if (revisionId === null) return;
+                    revisionId = revisionId.trim().replace(/^#/, '');
+                }
+            }
+
+            const url = revisionId
+                ? `${this.basePath}/api/levels/${levelName}/revisions/${revisionId}`
+                : `${this.basePath}/api/levels/${levelName}`;
+            const response = await fetch(url);
             if (response.ok) {
                 const levelData = await response.json();
-                this.level = levelData;
+                this.setLevel(revisionId ? levelData.level : levelData);
+                this.updateStatus(revisionId
+                    ? `Loaded revision #${revisionId} of level: ${levelName}`
+                    : `Loaded level: ${levelName}`);
+            } else {
+                alert(revisionId ? 'Revision not found!' : 'Level not found!');
+            }
+        } catch (error) {
+            alert('Failed to load level: ' + error.message);
+        }
+    }
+
+    // Show level data in the editor (loaded, restored or imported)
+    setLevel(levelData) {
+        this.level = levelData;
+
+        document.getElementById('levelName').value = this.level.name;
+        document.getElementById('levelDescription').value = this.level.description || '';
+
+        // Ensure backgroundImage property exists
+        if (!this.level.hasOwnProperty('backgroundImage')) {
+            this.level.backgroundImage = '';
+        }
+
+        document.getElementById('backgroundImage').value = this.level.backgroundImage || '';
+        this.loadBackgroundImage();
+        this.applyWorldSize();
+
+        // Load background images for objects
+        this.level.objects.forEach(obj => {
+            if (obj.backgroundImage) {
+                this.loadObjectImage(obj.backgroundImage);
+            }
+        });
+
+        // Update counters based on existing objects to prevent duplicates
+        this.updateObjectCounters();
 
-                document.getElementById('levelName').value = this.level.name;
-                document.getElementById('levelDescription').value = this.level.description || '';
+        // Validate and fix any duplicate IDs that might exist
+        this.validateAndFixDuplicateIds();
 
-                // Ensure backgroundImage property exists
-                if (!this.level.hasOwnProperty('backgroundImage')) {
-                    this.level.backgroundImage = '';
+        this.selectedObject = null;
+        this.updateObjectList();
+        this.render();
+        this.updateJsonDisplay();
+    }
+
+    // Download the saved level with its images as a bundle (zip)
+    async exportBundle() {
+        const levelName = document.getElementById('levelName').value;
+        if (!levelName) {
+            alert('Please enter a level name');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.basePath}/api/levels/${levelName}/bundle`);
+            if (!response.ok) {
+                const error = await response.json();
+                alert(`Failed to export level: ${error.error}`);
+                return;
+            }
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await response.blob());
+            link.download = `${levelName}.zip`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+
+            const missing = Number(response.headers.get('X-Missing-Assets')) || 0;
+            this.updateStatus(missing > 0
+                ? `Exported ${levelName} (${missing} images could not be included)`
+                : `Exported ${levelName}`);
+        } catch (error) {
+            alert('Failed to export level: ' + error.message);
+        }
+    }
+
+    // Import a bundle (zip) as a level and open it
+    async importBundle(file) {
+        const suggestedName = file.name.replace(/\.zip$/i, '');
+        const levelName = prompt('Import as level name:', suggestedName);
+        if (!levelName) return;
+
+        try {
+            const upload = (overwrite) => fetch(
+                `${this.basePath}/api/levels/${levelName}/bundle${overwrite ? '?overwrite=true' : ''}`,
+                { method: 'POST', headers: { 'Content-Type': 'application/zip' }, body: file }
+            );
+
+            let response = await upload(false);
+            if (response.status === 409 && confirm(`Level "${levelName}" already exists. Replace it?`)) {
+                response = await upload(true);
+            }
+
+            const result = await response.json();
+            if (!response.ok) {
+                if (response.status !== 409) {
+                    alert(`Failed to import level:\n${(result.errors || []).map(e => `${e.path} ${e.message}`).join('\n') || result.error}`);
                 }
+                return;
+            }
 
-                document.getElementById('backgroundImage').value = this.level.backgroundImage || '';
-                this.loadBackgroundImage();
+            this.setLevel(result.level);
+            this.updateStatus(`Imported level: ${levelName} (${result.assetCount} images)`);
+        } catch (error) {
+            alert('Failed to import level: ' + error.message);
+        }
+    }
 
-                // Load background images for objects
-                this.level.objects.forEach(obj => {
-                    if (obj.backgroundImage) {
-                        this.loadObjectImage(obj.backgroundImage);
-                    }
-                });
+    // Asset library: pick or upload an image for the level or object background
+    async openAssetPicker(targetId) {
+        this.assetTarget = targetId;
+        document.getElementById('assetPickerTitle').textContent =
+            targetId === 'backgroundImage' ? 'Level Background' : 'Object Background';
+        document.getElementById('assetPicker').classList.add('visible');
+        await this.fetchAssets();
+    }
 
-                // Update counters based on existing objects to prevent duplicates
-                this.updateObjectCounters();
+    closeAssetPicker() {
+        this.assetTarget = null;
+        document.getElementById('assetPicker').classList.remove('visible');
+    }
 
-                // Validate and fix any duplicate IDs that might exist
-                this.validateAndFixDuplicateIds();
+    async fetchAssets() {
+        const grid = document.getElementById('assetGrid');
 
-                this.selectedObject = null;
-                this.updateObjectList();
-                this.render();
-                this.updateJsonDisplay();
-                this.updateStatus(`Loaded level: ${levelName}`);
-            } else {
-                alert('Level not found!');
+        try {
+            const response = await fetch(`${this.basePath}/api/assets`);
+            if (!response.ok) {
+                grid.innerHTML = '<div class="asset-empty">Assets are not available (saving levels is not allowed)</div>';
+                return;
             }
+            this.renderAssets(await response.json());
         } catch (error) {
-            alert('Failed to load level: ' + error.message);
+            grid.innerHTML = '<div class="asset-empty">Failed to load assets</div>';
+        }
+    }
+
+    renderAssets(assets) {
+        const grid = document.getElementById('assetGrid');
+        grid.innerHTML = '';
+
+        if (assets.length === 0) {
+            grid.innerHTML = '<div class="asset-empty">No assets yet, upload an image</div>';
+            return;
+        }
+
+        assets.forEach(asset => {
+            const item = document.createElement('div');
+            item.className = 'asset-item';
+            item.style.backgroundImage = `url("${asset.url}")`;
+            item.title = `${asset.originalName || asset.fileName} (${Math.ceil(asset.size / 1024)} KB)` +
+                `${asset.uploadedBy ? ` by ${asset.uploadedBy}` : ''}`;
+            item.addEventListener('click', () => this.chooseAsset(asset.url));
+            grid.appendChild(item);
+        });
+    }
+
+    // Fill the target input and let its input handler apply the image
+    chooseAsset(url) {
+        if (!this.assetTarget) return;
+
+        const input = document.getElementById(this.assetTarget);
+        input.value = url;
+        input.dispatchEvent(new Event('input'));
+        this.closeAssetPicker();
+        this.updateJsonDisplay();
+    }
+
+    async uploadAsset(file) {
+        try {
+            const response = await fetch(`${this.basePath}/api/assets?name=${encodeURIComponent(file.name)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': file.type || 'application/octet-stream' },
+                body: file
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                alert(`Failed to upload image: ${result.error}`);
+                return;
+            }
+
+            this.updateStatus(response.status === 201
+                ? `Uploaded ${file.name}`
+                : `${file.name} is already in the asset library`);
+            this.chooseAsset(result.url);
+        } catch (error) {
+            alert('Failed to upload image: ' + error.message);
         }
     }
 
@@ -1712,8 +2015,13 @@ class LevelEditor {
         this.level.description = document.getElementById('levelDescription').value;
         this.level.backgroundImage = document.getElementById('backgroundImage').value;
 
+        // Stored with the revision in the level history
+        const message = prompt('Describe your changes (optional):', '');
+        if (message === null) return;
+
         try {
-            const response = await fetch(`${this.basePath}/api/levels/${levelName}`, {
+            const query = message ? `?message=${encodeURIComponent(message)}` : '';
+            const response = await fetch(`${this.basePath}/api/levels/${levelName}${query}`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -1723,6 +2031,11 @@ class LevelEditor {
 
             if (response.ok) {
                 this.updateStatus(`Saved level: ${levelName}`);
+            } else if (response.status === 403) {
+                alert('Failed to save level: your role is not allowed to save levels');
+            } else if (response.status === 400) {
+                const error = await response.json();
+                alert(`Failed to save level:\n${(error.errors || []).map(e => `${e.path} ${e.message}`).join('\n') || error.error}`);
             } else {
                 alert('Failed to save level');
             }
@@ -1793,12 +2106,8 @@ class LevelEditor {
         if (!textarea) return;
 
         try {
-            const newLevelData = JSON.parse(textarea.value);
-
-            // Basic validation
-            if (!newLevelData.objects || !Array.isArray(newLevelData.objects)) {
-                throw new Error('Invalid level data: objects array required');
-            }
+            // Upgrade older versions and check the schema (errors list every bad field)
+            const newLevelData = LevelSchema.parseLevel(JSON.parse(textarea.value));
 
             // Update the level data
             this.level = newLevelData;
@@ -1810,6 +2119,7 @@ class LevelEditor {
 
             // Load background image if changed
             this.loadBackgroundImage();
+            this.applyWorldSize();
 
             // Load object background images
             this.level.objects.forEach(obj => {
@@ -1,3 +1,19 @@
+// Closest the camera zooms in on the player's UFO
+const MAX_CAMERA_ZOOM = 2;
+
+// The camera rectangle is reported to the server (for interest management)
+// when it moved this far, at most this often
+const VIEWPORT_THRESHOLD = 50;
+const VIEWPORT_INTERVAL = 200;
+
+// Snapshot buffer id prefixes of the dynamic body collections
+const INTERPOLATION_PREFIXES = {
+    players: 'player_',
+    marbles: 'marble_',
+    emotes: 'emote_',
+    levelObjects: 'levelobj_'
+};
+
 class Game {
     constructor() {
         this.networking = new Networking();
@@ -9,75 +25,40 @@ class Game {
         this.gameState = null;
         this.lastUpdateTime = 0;
         this.isLoggedIn = false;
+        this.rejoinAfterRestart = false;
+
+        // Watching without a UFO, until joining as a player
+        this.isSpectating = false;
+        this.spectatorCount = 0;
         
-        // Player movement
-        this.playerSpeed = 150; // pixels per second (reduced from 200)
-        this.lastPlayerPosition = { x: 960, y: 540 }; // Center of 1920x1080 canvas
+        // Player movement, predicted locally and reconciled with the server
+        this.predictor = new UfoPredictor();
         this.beamActive = false;
-        this.lastMovementUpdate = 0; // For throttling movement updates
         
-        // Interpolation system for smooth movement
-        this.interpolatedObjects = new Map(); // Store interpolation data
-        this.lastServerUpdate = 0;
+        // Snapshot buffer for smooth, server-timestamped interpolation
+        this.snapshots = new SnapshotBuffer();
+        this.renderTime = 0;
+
+        // Camera: follows our UFO at the chosen zoom (mouse wheel), shows the
+        // whole level while spectating. Snapped into place on level changes.
+        this.cameraZoom = 1;
+        this.snapCamera = true;
+        this.lastViewport = null;
+        this.lastViewportTime = 0;
+
+        // Level lifecycle state from the server (playing, intermission, ...)
+        this.levelStatus = null;
+        this.campaign = null;
         
         // UI elements
         this.loginScreen = null;
         this.gameScreen = null;
         this.levelSelectModal = null;
-
-        // Track if a level has been loaded to prevent double-loading
-        this.levelLoaded = false;
-    }
-
-    // Linear interpolation function
-    lerp(start, end, progress) {
-        return start + (end - start) * progress;
-    }
-
-    // Smooth interpolation with easing
-    smoothstep(progress) {
-        return progress * progress * (3 - 2 * progress);
     }
 
-    // Update interpolation data for an object
-    updateInterpolationData(objectId, newX, newY, newAngle = 0) {
-        const currentTime = performance.now();
-        
-        if (!this.interpolatedObjects.has(objectId)) {
-            // First time seeing this object
-            this.interpolatedObjects.set(objectId, {
-                previousPosition: { x: newX, y: newY, angle: newAngle },
-                targetPosition: { x: newX, y: newY, angle: newAngle },
-                lastUpdateTime: currentTime
-            });
-        } else {
-            const obj = this.interpolatedObjects.get(objectId);
-            // Store current target as previous, set new target
-            obj.previousPosition = { ...obj.targetPosition };
-            obj.targetPosition = { x: newX, y: newY, angle: newAngle };
-            obj.lastUpdateTime = currentTime;
-        }
-    }
-
-    // Get interpolated position for an object
+    // Get interpolated position for an object at the current render time
     getInterpolatedPosition(objectId) {
-        if (!this.interpolatedObjects.has(objectId)) {
-            return null;
-        }
-
-        const obj = this.interpolatedObjects.get(objectId);
-        const currentTime = performance.now();
-        const timeSinceUpdate = currentTime - obj.lastUpdateTime;
-        
-        // Assume server updates every 100ms, clamp progress to prevent overshooting
-        const progress = Math.min(timeSinceUpdate / 100, 1);
-        const smoothProgress = this.smoothstep(progress);
-
-        return {
-            x: this.lerp(obj.previousPosition.x, obj.targetPosition.x, smoothProgress),
-            y: this.lerp(obj.previousPosition.y, obj.targetPosition.y, smoothProgress),
-            angle: this.lerp(obj.previousPosition.angle, obj.targetPosition.angle, smoothProgress)
-        };
+        return this.snapshots.getPosition(objectId, this.renderTime);
     }
 
     async init() {
@@ -121,23 +102,60 @@ class Game {
 
         this.networking.on('connected', () => {
             console.log('Connected to game server');
+            this.lastViewport = null; // New socket: report the camera again
+
+            // Back after a server restart: spawn the UFO again
+            if (this.rejoinAfterRestart) {
+                this.rejoinAfterRestart = false;
+                this.networking.login();
+            } else if (this.isSpectating) {
+                this.networking.spectate();
+            }
         });
         
         this.networking.on('loginSuccess', (player) => {
             this.currentPlayer = player;
+            this.predictor.reset();
             this.isLoggedIn = true;
+            this.isSpectating = false;
             this.showGameScreen();
+            this.updateSpectatorControls();
             this.updatePlayerInfo();
+            this.updatePermissionControls(player.permissions || []);
         });
         
         this.networking.on('gameState', (gameState) => {
+            // Full state (login or level change): previous snapshots no longer apply
             this.gameState = gameState;
+            this.levelStatus = gameState.levelStatus || null;
+            this.snapshots.clear();
+            this.snapCamera = true;
             this.updateInterpolationFromGameState(gameState);
+
+            this.predictor.setLevel(gameState);
+            this.predictor.reset();
+            this.reconcilePrediction(gameState);
         });
         
         this.networking.on('gameStateUpdate', (gameState) => {
             this.gameState = gameState;
             this.updateInterpolationFromGameState(gameState);
+            this.reconcilePrediction(gameState);
+        });
+        
+        // Bodies entering or leaving our view start their interpolation afresh
+        this.networking.on('bodiesChanged', ({ entered, left, removed }) => {
+            [entered, left, removed].forEach(ids => {
+                Object.keys(ids).forEach(collection => {
+                    const prefix = INTERPOLATION_PREFIXES[collection];
+                    if (!prefix) return;
+                    ids[collection].forEach(id => this.snapshots.forget(`${prefix}${id}`));
+                });
+            });
+        });
+        
+        this.networking.on('physicsChanged', (physics) => {
+            this.predictor.setParams(physics);
         });
         
         this.networking.on('chatMessage', (data) => {
@@ -146,8 +164,80 @@ class Game {
         
         this.networking.on('levelLoaded', (data) => {
             console.log('Level loaded:', data.levelName);
+
+            // Announce levels changed by the rotation scheduler
+            const rotationReasons = {
+                timeLimit: 'time limit reached',
+                idle: 'no player input'
+            };
+            if (rotationReasons[data.reason]) {
+                this.addChatMessage({
+                    username: 'System',
+                    message: `Rotating to ${data.levelName} (${rotationReasons[data.reason]})`
+                });
+            }
+        });
+
+        this.networking.on('levelCompleted', (data) => {
+            this.addChatMessage({
+                username: 'System',
+                message: `Level complete! +${data.xpAwarded} XP`
+            });
+        });
+
+        this.networking.on('levelState', (status) => {
+            this.levelStatus = status;
+        });
+
+        this.networking.on('intermission', (data) => {
+            this.levelStatus = { state: 'intermission', ...data };
+        });
+
+        this.networking.on('campaignProgress', (progress) => {
+            this.campaign = progress;
+        });
+
+        this.networking.on('campaignCompleted', (data) => {
+            this.addChatMessage({
+                username: 'System',
+                message: `Campaign "${data.title}" complete!`
+            });
         });
         
+        this.networking.on('spectatorCount', (data) => {
+            this.spectatorCount = data.count;
+        });
+
+        this.networking.on('roomClosed', () => {
+            this.isLoggedIn = false;
+            this.isSpectating = false;
+            this.currentPlayer = null;
+            this.gameState = null;
+            this.gameScreen.style.display = 'none';
+            this.loginScreen.style.display = '';
+            this.showError('This room has been closed.');
+        });
+
+        this.networking.on('kicked', (data) => {
+            this.isLoggedIn = false;
+            this.isSpectating = false;
+            this.currentPlayer = null;
+            this.gameState = null;
+            this.gameScreen.style.display = 'none';
+            this.loginScreen.style.display = '';
+            this.showError(data.expiresAt
+                ? `You have been banned until ${new Date(data.expiresAt).toLocaleString()}${data.reason ? `: ${data.reason}` : ''}`
+                : `You have been removed from the game${data.reason ? `: ${data.reason}` : ''}. Reload the page to rejoin.`);
+        });
+
+        this.networking.on('serverShutdown', (data) => {
+            this.rejoinAfterRestart = this.isLoggedIn;
+            this.addChatMessage({
+                username: 'System',
+                message: data.message
+            });
+        });
+
         this.networking.on('error', (error) => {
             this.showError(error.message);
         });
@@ -200,12 +290,6 @@ class Game {
                         }
                     }
                 });
-            } else {
-                // Auto-load level1.json if not in dev mode
-                if (!this.levelLoaded) {
-                    this.loadLevel('level1');
-                    this.levelLoaded = true;
-                }
             }
         } catch (error) {
             console.log('Could not check dev mode:', error);
@@ -231,15 +315,9 @@ class Game {
             });
 
             if (response.ok) {
-                const userData = await response.json();
-
-                // Ensure Socket.IO connection is ready before login
-                if (!this.networking.isConnected()) {
-                    await this.networking.connect();
-                }
-
-                // Now login with dev credentials
-                this.networking.login(userData.username, userData.userId);
+                // The session cookie is only sent with a new handshake
+                await this.networking.reconnect();
+                this.networking.login();
             } else {
                 const error = await response.json();
                 this.showError(error.error || 'Dev login failed');
@@ -249,11 +327,8 @@ class Game {
         }
     }
 
-    checkAutoLogin() {
-        // Check URL parameters for Twitch login callback
+    async checkAutoLogin() {
         const urlParams = new URLSearchParams(window.location.search);
-        const username = urlParams.get('username');
-        const userId = urlParams.get('userId');
         const error = urlParams.get('error');
 
         if (error) {
@@ -261,12 +336,15 @@ class Game {
             return;
         }
 
-        if (username && userId) {
-            // Auto-login with Twitch credentials
+        // Log straight in with an existing session (Twitch callback or an earlier visit)
+        const session = await this.networking.fetchSession();
+        if (session) {
             const performLogin = () => {
-                this.networking.login(username, userId);
-                // Clean up URL after login
-                window.history.replaceState({}, document.title, window.location.pathname);
+                this.networking.login();
+                // Clean up URL after login, keeping the room selection
+                const roomId = urlParams.get('room');
+                const query = roomId ? `?room=${encodeURIComponent(roomId)}` : '';
+                window.history.replaceState({}, document.title, window.location.pathname + query);
             };
 
             if (this.networking.isConnected()) {
@@ -277,6 +355,33 @@ class Game {
         }
     }
 
+    // Watch the room without a UFO
+    startSpectating() {
+        this.isSpectating = true;
+        this.networking.spectate();
+        this.showGameScreen();
+        this.updateSpectatorControls();
+    }
+
+    // Join the watched room as a player: straight away with a session,
+    // otherwise through the login screen
+    async joinFromSpectating() {
+        const session = await this.networking.fetchSession();
+        if (session) {
+            this.networking.login();
+        } else {
+            this.gameScreen.style.display = 'none';
+            this.loginScreen.style.display = '';
+        }
+    }
+
+    updateSpectatorControls() {
+        const spectatorBar = document.getElementById('spectatorBar');
+        if (spectatorBar) {
+            spectatorBar.style.display = this.isSpectating ? '' : 'none';
+        }
+    }
+
     showGameScreen() {
         this.loginScreen.style.display = 'none';
         this.gameScreen.style.display = 'block';
@@ -311,6 +416,21 @@ class Game {
         }
     }
 
+    // Only show the controls the player's role allows
+    updatePermissionControls(permissions) {
+        const controls = {
+            levelSelectBtn: 'loadLevel',
+            testEmoteBtn: 'spawnTestEmote'
+        };
+
+        Object.entries(controls).forEach(([id, permission]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.style.display = permissions.includes(permission) ? '' : 'none';
+            }
+        });
+    }
+
     updatePlayersList() {
         const playersList = document.getElementById('playersList');
         if (!playersList || !this.gameState) return;
@@ -330,6 +450,7 @@ class Game {
         this.lastUpdateTime = currentTime;
         
         this.update(deltaTime);
+        this.updateCamera(deltaTime);
         this.render();
         
         requestAnimationFrame(() => this.gameLoop());
@@ -350,7 +471,6 @@ class Game {
         if (this.controls.isDisabled()) return;
         
         const movement = this.controls.getMovementVector();
-        const currentTime = performance.now();
         
         // Send input state directly to server (like the reference game)
         const input = {
@@ -360,25 +480,33 @@ class Game {
             right: movement.x > 0
         };
         
-        // Send input updates at 60 FPS for responsive controls
-        this.networking.sendPlayerInput(input);
-        
-        // Update local position for camera following (approximate)
-        if (movement.x !== 0 || movement.y !== 0) {
-            const newX = this.lastPlayerPosition.x + movement.x * this.playerSpeed * deltaTime;
-            const newY = this.lastPlayerPosition.y + movement.y * this.playerSpeed * deltaTime;
-            
-            // Clamp to canvas bounds (with some padding)
-            const padding = 50;
-            const clampedX = Math.max(padding, Math.min(this.canvas.width - padding, newX));
-            const clampedY = Math.max(padding, Math.min(this.canvas.height - padding, newY));
-            
-            this.lastPlayerPosition.x = clampedX;
-            this.lastPlayerPosition.y = clampedY;
+        // Inputs are sent once per physics tick, tagged with a sequence number,
+        // and applied to the predicted UFO right away
+        this.predictor.update(deltaTime * 1000, input, (taggedInput) => {
+            this.networking.sendPlayerInput(taggedInput);
+        });
+    }
+
+    // Correct the predicted UFO with the server's state for the current player
+    reconcilePrediction(gameState) {
+        if (!this.currentPlayer || !gameState.players) return;
+
+        const serverPlayer = gameState.players.find(player => player.id === this.currentPlayer.id);
+        if (serverPlayer) {
+            this.predictor.reconcile(serverPlayer);
+
+            // Keep the XP bar in sync with progress saved on the server
+            if (serverPlayer.xp !== this.currentPlayer.xp || serverPlayer.level !== this.currentPlayer.level) {
+                this.currentPlayer.xp = serverPlayer.xp;
+                this.currentPlayer.level = serverPlayer.level;
+                this.updatePlayerInfo();
+            }
         }
     }
 
     activateBeam(active) {
+        if (!this.isLoggedIn) return;
+
         if (this.beamActive !== active) {
             this.beamActive = active;
             this.networking.sendBeamToggle(active);
@@ -386,19 +514,85 @@ class Game {
     }
 
     handleBeamTarget(canvasX, canvasY) {
-        if (!this.renderer) return;
+        if (!this.renderer || !this.isLoggedIn) return;
         
         const worldPos = this.renderer.screenToWorld(canvasX, canvasY);
         this.networking.sendBeamInteraction(worldPos.x, worldPos.y);
     }
 
+    // Zoom range: from the whole level (or 1 when it fits the screen) to MAX_CAMERA_ZOOM
+    getZoomRange() {
+        return { min: Math.min(1, this.renderer.getFitZoom()), max: MAX_CAMERA_ZOOM };
+    }
+
+    // Mouse wheel zoom, factor > 1 zooms in
+    zoomCamera(factor) {
+        if (!this.renderer) return;
+
+        const { min, max } = this.getZoomRange();
+        this.cameraZoom = Math.max(min, Math.min(max, this.cameraZoom * factor));
+    }
+
+    updateCamera(deltaTime) {
+        if (!this.renderer || !this.gameState) return;
+
+        const world = this.gameState.world || { width: 1920, height: 1080 };
+        this.renderer.setWorldSize(world.width, world.height);
+
+        const { min, max } = this.getZoomRange();
+        this.cameraZoom = Math.max(min, Math.min(max, this.cameraZoom));
+
+        const target = this.isLoggedIn ? this.predictor.getRenderPosition() : null;
+        if (!target) {
+            // Spectating (or not spawned yet): the whole level
+            this.renderer.fitCamera();
+        } else if (this.snapCamera) {
+            this.renderer.setCamera(target.x, target.y, this.cameraZoom);
+            this.snapCamera = false;
+        } else {
+            this.renderer.followCamera(target.x, target.y, this.cameraZoom, deltaTime);
+        }
+
+        this.reportViewport();
+    }
+
+    // Tell the server which part of the world we show, it only sends the bodies near it
+    reportViewport() {
+        const now = Date.now();
+        if (now - this.lastViewportTime < VIEWPORT_INTERVAL) return;
+
+        const { camera, canvas } = this.renderer;
+        const width = canvas.width / camera.zoom;
+        const height = canvas.height / camera.zoom;
+        const viewport = {
+            x: Math.round(camera.x - width / 2),
+            y: Math.round(camera.y - height / 2),
+            width: Math.round(width),
+            height: Math.round(height)
+        };
+
+        const last = this.lastViewport;
+        if (last &&
+            Math.abs(viewport.x - last.x) < VIEWPORT_THRESHOLD &&
+            Math.abs(viewport.y - last.y) < VIEWPORT_THRESHOLD &&
+            Math.abs(viewport.width - last.width) < VIEWPORT_THRESHOLD &&
+            Math.abs(viewport.height - last.height) < VIEWPORT_THRESHOLD) {
+            return;
+        }
+
+        if (!this.networking.isConnected()) return;
+        this.networking.sendViewport(viewport);
+        this.lastViewport = viewport;
+        this.lastViewportTime = now;
+    }
+
     render() {if (!this.renderer || !this.gameState) return;
         
         // Draw level background if provided, else gradient fallback
         this.renderer.drawBackground(this.gameState.backgroundImage);
-        
-        // Fixed camera view - no following, show entire 1920x1080 game area
-        this.renderer.setCamera(960, 540, 1); // Center of 1920x1080 canvas
+
+        // Server time to interpolate at for this frame
+        this.renderTime = this.snapshots.getRenderTime();
         
         // Sort level objects by zIndex (if present) before rendering
         const sortedObjects = [...this.gameState.levelObjects].sort((a, b) => {
@@ -422,13 +616,14 @@ class Game {
         });
         
         // Render marbles with smooth interpolation
+        const marbleRadius = this.gameState.physics && this.gameState.physics.marbleRadius;
         this.gameState.marbles.forEach(marble => {
             const interpolated = this.getInterpolatedPosition(`marble_${marble.id}`);
             if (interpolated) {
-                this.renderer.drawMarble(interpolated.x, interpolated.y, interpolated.angle);
+                this.renderer.drawMarble(interpolated.x, interpolated.y, interpolated.angle, marbleRadius);
             } else {
                 // Fallback to server position if no interpolation data
-                this.renderer.drawMarble(marble.x, marble.y, marble.angle);
+                this.renderer.drawMarble(marble.x, marble.y, marble.angle, marbleRadius);
             }
         });
         
@@ -448,8 +643,9 @@ class Game {
             const isCurrentPlayer = player.id === this.currentPlayer?.id;
             const color = isCurrentPlayer ? '#4ecdc4' : '#ff6b6b';
             
-            // Use interpolated position for smooth movement
-            const interpolated = this.getInterpolatedPosition(`player_${player.id}`);
+            // Own UFO is drawn where we predict it, others are interpolated
+            const predicted = isCurrentPlayer ? this.predictor.getRenderPosition() : null;
+            const interpolated = predicted || this.getInterpolatedPosition(`player_${player.id}`);
             if (interpolated) {
                 this.renderer.drawUFO(interpolated.x, interpolated.y, color, player.beamActive);
                 this.renderer.drawPlayerName(interpolated.x, interpolated.y, player.username, color);
@@ -460,6 +656,10 @@ class Game {
             }
         });
         
+        this.renderer.drawCampaignProgress(this.campaign);
+        this.renderer.drawSpectatorCount(this.spectatorCount);
+        this.renderer.drawLevelStatus(this.levelStatus);
+
         // Debug info (optional)
         // this.renderer.drawDebugInfo(this.gameState);
     }
@@ -509,10 +709,15 @@ class Game {
         
         const messageElement = document.createElement('div');
         messageElement.className = 'chat-message';
-        messageElement.innerHTML = `
-            <span class="chat-username">${data.username}:</span>
-            <span class="chat-text">${data.message}</span>
-        `;
+
+        // Names, messages and campaign titles are user text: never parse them as HTML
+        const username = document.createElement('span');
+        username.className = 'chat-username';
+        username.textContent = `${data.username}:`;
+        const text = document.createElement('span');
+        text.className = 'chat-text';
+        text.textContent = data.message;
+        messageElement.append(username, ' ', text);
         
         chatMessages.appendChild(messageElement);
         chatMessages.scrollTop = chatMessages.scrollHeight;
@@ -529,71 +734,36 @@ class Game {
         this.networking.spawnTestEmote(randomEmote);
     }
 
-    // Update interpolation data from received game state
+    // Record the dynamic body positions of a received game state in the snapshot buffer
     updateInterpolationFromGameState(gameState) {
-        this.lastServerUpdate = performance.now();
+        const positions = new Map();
         
-        // Update interpolation data for all players
         if (gameState.players) {
             gameState.players.forEach(player => {
-                this.updateInterpolationData(`player_${player.id}`, player.x, player.y, 0);
+                positions.set(`player_${player.id}`, { x: player.x, y: player.y, angle: 0 });
             });
         }
         
-        // Update interpolation data for marbles
         if (gameState.marbles) {
             gameState.marbles.forEach(marble => {
-                this.updateInterpolationData(`marble_${marble.id}`, marble.x, marble.y, marble.angle);
+                positions.set(`marble_${marble.id}`, { x: marble.x, y: marble.y, angle: marble.angle });
             });
         }
         
-        // Update interpolation data for emotes
         if (gameState.emotes) {
             gameState.emotes.forEach(emote => {
-                this.updateInterpolationData(`emote_${emote.id}`, emote.x, emote.y, emote.angle);
-            });
-        }
-
-        // Update interpolation data for movable level objects
-        if (gameState.levelObjects) {
-            gameState.levelObjects.forEach(obj => {
-                if (obj.isStatic === false) {
-                    this.updateInterpolationData(`levelobj_${obj.id}`, obj.x, obj.y, obj.angle || 0);
-                }
+                positions.set(`emote_${emote.id}`, { x: emote.x, y: emote.y, angle: emote.angle });
             });
         }
-        
-        // Clean up interpolation data for objects that no longer exist
-        this.cleanupInterpolationData(gameState);
-    }
 
-    // Remove interpolation data for objects that no longer exist
-    cleanupInterpolationData(gameState) {
-        const existingIds = new Set();
-        
-        // Collect all existing object IDs
-        if (gameState.players) {
-            gameState.players.forEach(player => existingIds.add(`player_${player.id}`));
-        }
-        if (gameState.marbles) {
-            gameState.marbles.forEach(marble => existingIds.add(`marble_${marble.id}`));
-        }
-        if (gameState.emotes) {
-            gameState.emotes.forEach(emote => existingIds.add(`emote_${emote.id}`));
-        }
         if (gameState.levelObjects) {
             gameState.levelObjects.forEach(obj => {
                 if (obj.isStatic === false) {
-                    existingIds.add(`levelobj_${obj.id}`);
+                    positions.set(`levelobj_${obj.id}`, { x: obj.x, y: obj.y, angle: obj.angle || 0 });
                 }
             });
         }
         
-        // Remove interpolation data for objects that no longer exist
-        for (const [objectId] of this.interpolatedObjects) {
-            if (!existingIds.has(objectId)) {
-                this.interpolatedObjects.delete(objectId);
-            }
-        }
+        this.snapshots.push(gameState.serverTime, gameState.tick, positions);
     }
 }
@@ -4,6 +4,8 @@ class Networking {
         this.socket = null;
         this.connected = false;
         this.currentPlayer = null;
+        // Room to play in, taken from ?room=<id> (server default room otherwise)
+        this.roomId = new URLSearchParams(window.location.search).get('room') || 'main';
         this.gameState = {
             players: [],
             marbles: [],
@@ -12,6 +14,11 @@ class Networking {
         };
         this.callbacks = {};
         this.configLoaded = false;
+        // State updates in the compact binary encoding (shared/stateCodec.js),
+        // ?stateEncoding=json keeps them readable in the browser's devtools
+        const jsonRequested = new URLSearchParams(window.location.search).get('stateEncoding') === 'json';
+        this.stateEncoding = jsonRequested || !window.StateCodec ? 'json' : 'binary';
+        this.stateDecoder = null;
     }
 
     async loadConfig() {
@@ -52,7 +59,10 @@ class Networking {
         }
 
         // Connect to Socket.IO with correct path
-        this.socket = io({ path: `${this.BASE_PATH}/socket.io` });
+        const auth = this.stateEncoding === 'binary'
+            ? { stateEncoding: 'binary', stateCodecVersion: StateCodec.VERSION }
+            : {};
+        this.socket = io({ path: `${this.BASE_PATH}/socket.io`, auth });
 
         this.socket.on('connect', () => {
             console.log('Connected to server');
@@ -77,9 +87,21 @@ class Networking {
             this.emit('gameState', gameState);
         });
 
-        this.socket.on('gameStateUpdate', (gameState) => {
-            this.gameState = gameState;
-            this.emit('gameStateUpdate', gameState);
+        // Encoding the server chose for our state updates, on every connection
+        this.socket.on('stateEncoding', (data) => {
+            this.stateDecoder = data.encoding === 'binary' ? new StateCodec.StateDecoder() : null;
+        });
+
+        this.socket.on('gameStateUpdate', (message) => {
+            const update = message instanceof ArrayBuffer ? this.stateDecoder.decode(message) : message;
+            this.applyStateUpdate(update);
+            // Bodies that came into or went out of our interest area, or were removed
+            this.emit('bodiesChanged', {
+                entered: update.entered || {},
+                left: update.left || {},
+                removed: update.removed || {}
+            });
+            this.emit('gameStateUpdate', this.gameState);
         });
 
         this.socket.on('playerJoined', (player) => {
@@ -99,6 +121,11 @@ class Networking {
         });
 
         this.socket.on('levelLoaded', (data) => {
+            // Level changes carry the full state including the new static geometry
+            if (data.gameState) {
+                this.gameState = data.gameState;
+                this.emit('gameState', data.gameState);
+            }
             this.emit('levelLoaded', data);
         });
 
@@ -106,15 +133,152 @@ class Networking {
             this.emit('chatMessage', data);
         });
 
+        // Level lifecycle: completion, intermission countdown, state changes
+        this.socket.on('levelCompleted', (data) => {
+            this.emit('levelCompleted', data);
+        });
+
+        this.socket.on('intermission', (data) => {
+            this.emit('intermission', data);
+        });
+
+        this.socket.on('levelState', (status) => {
+            this.emit('levelState', status);
+        });
+
+        // Campaign position (null when no campaign is running)
+        this.socket.on('campaignProgress', (progress) => {
+            this.emit('campaignProgress', progress);
+        });
+
+        this.socket.on('campaignCompleted', (data) => {
+            this.emit('campaignCompleted', data);
+        });
+
+        this.socket.on('roomClosed', (data) => {
+            this.emit('roomClosed', data);
+        });
+
+        // Physics tuned by an admin, kept with the game state like the initial values
+        this.socket.on('physicsChanged', (physics) => {
+            if (this.gameState) {
+                this.gameState.physics = physics;
+            }
+            this.emit('physicsChanged', physics);
+        });
+
+        this.socket.on('spectatorCount', (data) => {
+            this.emit('spectatorCount', data);
+        });
+
+        // Removed from the game by an admin (kick or ban)
+        this.socket.on('kicked', (data) => {
+            this.emit('kicked', data);
+        });
+
+        // Server going down for a restart, it reconnects on its own
+        this.socket.on('serverShutdown', (data) => {
+            this.emit('serverShutdown', data);
+        });
+
         this.socket.on('error', (error) => {
             console.error('Server error:', error);
             this.emit('error', error);
         });
     }
 
-    login(username, userId) {
+    // Apply a delta-compressed gameStateUpdate to the full state received with
+    // gameState/levelLoaded. Keyframes replace every dynamic body, deltas only
+    // carry changed bodies (keyed by id) and the ids of removed ones and of
+    // the ones that went out of our interest area.
+    applyStateUpdate(update) {
+        this.gameState.tick = update.tick;
+        this.gameState.serverTime = update.serverTime;
+        const removed = update.removed || {};
+        const left = update.left || {};
+
+        ['players', 'marbles', 'emotes'].forEach(collection => {
+            const changed = update[collection] || {};
+            let records;
+
+            if (update.keyframe) {
+                records = Object.values(changed);
+            } else {
+                const byId = new Map();
+                (this.gameState[collection] || []).forEach(record => byId.set(String(record.id), record));
+                Object.keys(changed).forEach(id => byId.set(id, changed[id]));
+                [...(removed[collection] || []), ...(left[collection] || [])]
+                    .forEach(id => byId.delete(String(id)));
+                records = Array.from(byId.values());
+            }
+
+            this.gameState[collection] = records;
+        });
+
+        // Level objects keep their static properties, only the transform changes.
+        // Out of view they keep their last transform until they come back.
+        if (removed.levelObjects) {
+            const removedIds = new Set(removed.levelObjects.map(String));
+            this.gameState.levelObjects = (this.gameState.levelObjects || [])
+                .filter(obj => !removedIds.has(String(obj.id)));
+        }
+
+        const movedObjects = update.levelObjects || {};
+        (this.gameState.levelObjects || []).forEach(obj => {
+            const moved = movedObjects[obj.id];
+            if (moved) {
+                obj.x = moved.x;
+                obj.y = moved.y;
+                obj.angle = moved.angle;
+            }
+        });
+    }
+
+    // Spawn our UFO; the server takes the identity from the session cookie
+    login() {
+        if (this.socket && this.connected) {
+            this.socket.emit('login', { roomId: this.roomId });
+        }
+    }
+
+    // Open a new connection so the server sees a session created after the
+    // page was loaded (dev login)
+    reconnect() {
+        return new Promise(resolve => {
+            this.socket.once('connect', resolve);
+            this.socket.disconnect();
+            this.socket.connect();
+        });
+    }
+
+    async fetchSession() {
+        try {
+            const response = await fetch(`${this.BASE_PATH}/api/session`);
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            console.error('Failed to fetch session:', error);
+            return null;
+        }
+    }
+
+    // Watch the room as a counted spectator, without a UFO
+    spectate() {
+        if (this.socket && this.connected) {
+            this.socket.emit('spectate', { roomId: this.roomId });
+        }
+    }
+
+    // Receive the room's game state without spawning a UFO
+    joinRoom() {
+        if (this.socket && this.connected) {
+            this.socket.emit('joinRoom', { roomId: this.roomId });
+        }
+    }
+
+    // World rectangle shown by our camera, the server only sends the bodies near it
+    sendViewport(viewport) {
         if (this.socket && this.connected) {
-            this.socket.emit('login', { username, userId });
+            this.socket.emit('viewport', viewport);
         }
     }
 
@@ -138,7 +302,7 @@ class Networking {
 
     loadLevel(levelName) {
         if (this.socket && this.connected) {
-            this.socket.emit('loadLevel', levelName);
+            this.socket.emit('loadLevel', { levelName, roomId: this.roomId });
         }
     }
 
@@ -11,8 +11,8 @@ class TransparentRenderer extends Renderer {
         if (imageUrl) {
             const cached = this.images.get(imageUrl);
             if (cached) {
-                // Draw image stretched to canvas; PNG alpha is preserved by drawImage
-                this.ctx.drawImage(cached, 0, 0, this.canvas.width, this.canvas.height);
+                // Draw image stretched over the world; PNG alpha is preserved by drawImage
+                this.drawWorldImage(cached);
                 return;
             }
             // Start async load; remain transparent until it's loaded
@@ -27,63 +27,32 @@ class TransparentRenderer extends Renderer {
     const renderer = new TransparentRenderer(canvas);
     const networking = new Networking();
 
-    // Interpolation system
-    const interpolatedObjects = new Map();
+    // Snapshot buffer for server-timestamped interpolation
+    const snapshots = new SnapshotBuffer();
+    let renderTime = 0;
+    let levelStatus = null;
+    let campaign = null;
 
-    function lerp(start, end, progress) {
-        return start + (end - start) * progress;
-    }
-
-    function smoothstep(progress) {
-        return progress * progress * (3 - 2 * progress);
-    }
-
-    function updateInterpolationData(objectId, newX, newY, newAngle = 0) {
-        const currentTime = performance.now();
-
-        if (!interpolatedObjects.has(objectId)) {
-            interpolatedObjects.set(objectId, {
-                previousPosition: { x: newX, y: newY, angle: newAngle },
-                targetPosition: { x: newX, y: newY, angle: newAngle },
-                lastUpdateTime: currentTime
-            });
-        } else {
-            const obj = interpolatedObjects.get(objectId);
-            obj.previousPosition = { ...obj.targetPosition };
-            obj.targetPosition = { x: newX, y: newY, angle: newAngle };
-            obj.lastUpdateTime = currentTime;
-        }
-    }
+    // Camera mode (overlay.html?camera=marble&zoom=1.5): 'fit' shows the whole
+    // level, 'marble' follows the first marble at the given zoom (default 1)
+    const params = new URLSearchParams(window.location.search);
+    const cameraMode = params.get('camera') === 'marble' ? 'marble' : 'fit';
+    const followZoom = parseFloat(params.get('zoom')) || 1;
+    let lastFrameTime = performance.now();
+    let snapCamera = true;
 
     function getInterpolatedPosition(objectId) {
-        if (!interpolatedObjects.has(objectId)) {
-            return null;
-        }
-
-        const obj = interpolatedObjects.get(objectId);
-        const currentTime = performance.now();
-        const timeSinceUpdate = currentTime - obj.lastUpdateTime;
-
-        // Assume server updates every 100ms, clamp progress to prevent overshooting
-        const progress = Math.min(timeSinceUpdate / 100, 1);
-        const smoothProgress = smoothstep(progress);
-
-        return {
-            x: lerp(obj.previousPosition.x, obj.targetPosition.x, smoothProgress),
-            y: lerp(obj.previousPosition.y, obj.targetPosition.y, smoothProgress),
-            angle: lerp(obj.previousPosition.angle, obj.targetPosition.angle, smoothProgress)
-        };
+        return snapshots.getPosition(objectId, renderTime);
     }
 
     function updateInterpolationFromGameState(gameState) {
-        const existingIds = new Set();
+        const positions = new Map();
 
         // Players
         if (gameState.players) {
             gameState.players.forEach(player => {
                 const id = `player_${player.id || player.username}`;
-                updateInterpolationData(id, player.x, player.y, 0);
-                existingIds.add(id);
+                positions.set(id, { x: player.x, y: player.y, angle: 0 });
             });
         }
 
@@ -91,8 +60,7 @@ class TransparentRenderer extends Renderer {
         if (gameState.marbles) {
             gameState.marbles.forEach(marble => {
                 const id = `marble_${marble.id || marble.username || marble.playerId || marble.x + '_' + marble.y}`;
-                updateInterpolationData(id, marble.x, marble.y, marble.angle);
-                existingIds.add(id);
+                positions.set(id, { x: marble.x, y: marble.y, angle: marble.angle });
             });
         }
 
@@ -100,8 +68,7 @@ class TransparentRenderer extends Renderer {
         if (gameState.emotes) {
             gameState.emotes.forEach(emote => {
                 const id = `emote_${emote.id || emote.url || emote.x + '_' + emote.y}`;
-                updateInterpolationData(id, emote.x, emote.y, emote.angle);
-                existingIds.add(id);
+                positions.set(id, { x: emote.x, y: emote.y, angle: emote.angle });
             });
         }
 
@@ -109,25 +76,44 @@ class TransparentRenderer extends Renderer {
         if (gameState.levelObjects) {
             gameState.levelObjects.forEach(obj => {
                 if (obj.isStatic === false) {
-                    const id = `levelobj_${obj.id}`;
-                    updateInterpolationData(id, obj.x, obj.y, obj.angle || 0);
-                    existingIds.add(id);
+                    positions.set(`levelobj_${obj.id}`, { x: obj.x, y: obj.y, angle: obj.angle || 0 });
                 }
             });
         }
 
-        // Cleanup
-        for (const [objectId] of interpolatedObjects) {
-            if (!existingIds.has(objectId)) {
-                interpolatedObjects.delete(objectId);
-            }
+        snapshots.push(gameState.serverTime, gameState.tick, positions);
+    }
+
+    function updateCamera(gameState) {
+        const now = performance.now();
+        const deltaTime = (now - lastFrameTime) / 1000;
+        lastFrameTime = now;
+
+        const world = gameState.world || { width: 1920, height: 1080 };
+        renderer.setWorldSize(world.width, world.height);
+
+        const marble = cameraMode === 'marble' && gameState.marbles && gameState.marbles[0];
+        if (!marble) {
+            renderer.fitCamera();
+            return;
+        }
+
+        const id = `marble_${marble.id || marble.username || marble.playerId || marble.x + '_' + marble.y}`;
+        const position = getInterpolatedPosition(id) || marble;
+        if (snapCamera) {
+            renderer.setCamera(position.x, position.y, followZoom);
+            snapCamera = false;
+        } else {
+            renderer.followCamera(position.x, position.y, followZoom, deltaTime);
         }
     }
 
-    // Set camera to show the full board (centered, 1920x1080)
-    function renderGameState(gameState) {// Draw level background (remove to keep transparent overlay)
+    function renderGameState(gameState) {
+        renderTime = snapshots.getRenderTime();
+        updateCamera(gameState);
+
+        // Draw level background (remove to keep transparent overlay)
         renderer.drawBackground(gameState.backgroundImage);
-        renderer.setCamera(960, 540, 1);
 
         // Draw level objects (interpolated for movable, static as before)
         if (gameState.levelObjects) {
@@ -149,13 +135,14 @@ class TransparentRenderer extends Renderer {
 
         // Draw marbles with interpolation
         if (gameState.marbles) {
+            const marbleRadius = gameState.physics && gameState.physics.marbleRadius;
             gameState.marbles.forEach(marble => {
                 const id = `marble_${marble.id || marble.username || marble.playerId || marble.x + '_' + marble.y}`;
                 const interpolated = getInterpolatedPosition(id);
                 if (interpolated) {
-                    renderer.drawMarble(interpolated.x, interpolated.y, interpolated.angle);
+                    renderer.drawMarble(interpolated.x, interpolated.y, interpolated.angle, marbleRadius);
                 } else {
-                    renderer.drawMarble(marble.x, marble.y, marble.angle);
+                    renderer.drawMarble(marble.x, marble.y, marble.angle, marbleRadius);
                 }
             });
         }
@@ -187,14 +174,23 @@ class TransparentRenderer extends Renderer {
                 }
             });
         }
+
+        renderer.drawCampaignProgress(campaign);
+        renderer.drawLevelStatus(levelStatus);
     }
 
     // Initialize overlay
     async function init() {
         await networking.loadConfig();
+
+        // Subscribe to the room's state (overlay.html?room=<id>), again after reconnects
+        networking.on('connected', () => networking.joinRoom());
         await networking.connect();
 
         networking.on('gameState', (gameState) => {
+            levelStatus = gameState.levelStatus || null;
+            snapshots.clear();
+            snapCamera = true;
             updateInterpolationFromGameState(gameState);
             renderGameState(gameState);
         });
@@ -202,6 +198,15 @@ class TransparentRenderer extends Renderer {
             updateInterpolationFromGameState(gameState);
             renderGameState(gameState);
         });
+        networking.on('levelState', (status) => {
+            levelStatus = status;
+        });
+        networking.on('intermission', (data) => {
+            levelStatus = { state: 'intermission', ...data };
+        });
+        networking.on('campaignProgress', (progress) => {
+            campaign = progress;
+        });
     }
 
     init();
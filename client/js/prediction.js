@@ -0,0 +1,179 @@
+// Client-side prediction for the local player's UFO. Inputs are simulated
+// immediately with the server's force model (UfoPhysics) and kept until the
+// server acknowledges them; every server snapshot resets the prediction to the
+// authoritative state and replays the unacknowledged inputs on top of it.
+class UfoPredictor {
+    constructor() {
+        this.state = null;            // Predicted { x, y, vx, vy }
+        this.params = null;           // Physics parameters from the server game state
+        this.obstacles = [];          // Solid static level objects
+        this.pendingInputs = [];      // Inputs not yet acknowledged by the server
+        this.inputSeq = 0;
+        this.accumulator = 0;
+        this.correction = { x: 0, y: 0 }; // Visual offset that hides reconciliation snaps
+        this.snapDistance = 100;      // Corrections larger than this (respawn, teleport) snap
+        this.maxPendingInputs = 120;
+    }
+
+    reset() {
+        this.state = null;
+        this.pendingInputs = [];
+        this.accumulator = 0;
+        this.correction = { x: 0, y: 0 };
+    }
+
+    // Physics parameters changed while playing (admin tuning)
+    setParams(params) {
+        this.params = params;
+    }
+
+    // Take the physics parameters and static geometry from a full game state
+    setLevel(gameState) {
+        this.params = gameState.physics || null;
+        this.obstacles = (gameState.levelObjects || []).filter(obj =>
+            obj.isStatic !== false && obj.isSolid !== false
+        );
+    }
+
+    // Advance by the elapsed frame time; every fixed tick samples the input,
+    // tags it with a sequence number and hands it to sendInput
+    update(deltaMs, input, sendInput) {
+        this.accumulator = Math.min(this.accumulator + deltaMs, 250);
+
+        while (this.accumulator >= UfoPhysics.TIMESTEP) {
+            this.accumulator -= UfoPhysics.TIMESTEP;
+
+            const tagged = { seq: ++this.inputSeq, ...input };
+            sendInput(tagged);
+
+            if (this.state && this.params) {
+                this.pendingInputs.push(tagged);
+                if (this.pendingInputs.length > this.maxPendingInputs) {
+                    this.pendingInputs.shift();
+                }
+                this.state = this.simulate(this.state, tagged);
+            }
+        }
+
+        // Blend reconciliation corrections out over a few frames
+        const decay = Math.pow(0.85, deltaMs / UfoPhysics.TIMESTEP);
+        this.correction.x *= decay;
+        this.correction.y *= decay;
+    }
+
+    // Reset to the server's state for our UFO and replay unacknowledged inputs
+    reconcile(serverPlayer) {
+        if (!this.params) return;
+
+        const ack = serverPlayer.lastInputSeq || 0;
+        this.pendingInputs = this.pendingInputs.filter(input => input.seq > ack);
+
+        let state = {
+            x: serverPlayer.x,
+            y: serverPlayer.y,
+            vx: serverPlayer.vx || 0,
+            vy: serverPlayer.vy || 0
+        };
+        this.pendingInputs.forEach(input => {
+            state = this.simulate(state, input);
+        });
+
+        if (this.state) {
+            const dx = this.state.x + this.correction.x - state.x;
+            const dy = this.state.y + this.correction.y - state.y;
+            this.correction = Math.sqrt(dx * dx + dy * dy) > this.snapDistance
+                ? { x: 0, y: 0 }
+                : { x: dx, y: dy };
+        }
+
+        this.state = state;
+    }
+
+    simulate(state, input) {
+        return this.resolveCollisions(UfoPhysics.step(state, input, this.params));
+    }
+
+    // Keep the predicted UFO out of static geometry (the server resolves
+    // collisions with Matter.js, this only avoids sinking into platforms)
+    resolveCollisions(state) {
+        const radius = this.params.radius;
+
+        this.obstacles.forEach(obj => {
+            if (obj.shape === 'circle') {
+                const dx = state.x - obj.x;
+                const dy = state.y - obj.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                const minDistance = radius + obj.radius;
+
+                if (distance > 0 && distance < minDistance) {
+                    this.pushOut(state, dx / distance, dy / distance, minDistance - distance);
+                }
+            } else if (obj.shape === 'rectangle') {
+                // Work in the rectangle's local frame
+                const angle = obj.angle || 0;
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+                const dx = state.x - obj.x;
+                const dy = state.y - obj.y;
+                const localX = dx * cos + dy * sin;
+                const localY = -dx * sin + dy * cos;
+                const halfWidth = obj.width / 2;
+                const halfHeight = obj.height / 2;
+
+                const closestX = Math.max(-halfWidth, Math.min(halfWidth, localX));
+                const closestY = Math.max(-halfHeight, Math.min(halfHeight, localY));
+                const offsetX = localX - closestX;
+                const offsetY = localY - closestY;
+                const distance = Math.sqrt(offsetX * offsetX + offsetY * offsetY);
+
+                if (distance >= radius) return;
+
+                let normalX, normalY, depth;
+                if (distance > 0) {
+                    normalX = offsetX / distance;
+                    normalY = offsetY / distance;
+                    depth = radius - distance;
+                } else {
+                    // Centre inside the rectangle: leave through the nearest face
+                    const exitX = halfWidth - Math.abs(localX);
+                    const exitY = halfHeight - Math.abs(localY);
+                    if (exitX < exitY) {
+                        normalX = localX < 0 ? -1 : 1;
+                        normalY = 0;
+                        depth = exitX + radius;
+                    } else {
+                        normalX = 0;
+                        normalY = localY < 0 ? -1 : 1;
+                        depth = exitY + radius;
+                    }
+                }
+
+                // Back to world space
+                this.pushOut(state, normalX * cos - normalY * sin, normalX * sin + normalY * cos, depth);
+            }
+        });
+
+        return state;
+    }
+
+    pushOut(state, normalX, normalY, depth) {
+        state.x += normalX * depth;
+        state.y += normalY * depth;
+
+        // Cancel the velocity going into the surface
+        const normalVelocity = state.vx * normalX + state.vy * normalY;
+        if (normalVelocity < 0) {
+            state.vx -= normalVelocity * normalX;
+            state.vy -= normalVelocity * normalY;
+        }
+    }
+
+    // Predicted position including the fading reconciliation correction
+    getRenderPosition() {
+        if (!this.state) return null;
+        return {
+            x: this.state.x + this.correction.x,
+            y: this.state.y + this.correction.y
+        };
+    }
+}
@@ -1,3 +1,6 @@
+// How quickly a following camera catches up with its target (per second)
+const CAMERA_SMOOTHING = 5;
+
 class Renderer {
     constructor(canvas) {
         this.canvas = canvas;
@@ -7,6 +10,8 @@ class Renderer {
             y: 0,
             zoom: 1
         };
+        // Size of the level's world, the camera does not show past its edges
+        this.world = { width: canvas.width, height: canvas.height };
         this.images = new Map();
         this.loadedImages = new Set();
     }clear() {
@@ -26,27 +31,74 @@ class Renderer {
 
         if (imageUrl) {
             const cached = this.images.get(imageUrl);
-            if (cached) {
-                // Stretch background to full canvas
-                this.ctx.drawImage(cached, 0, 0, this.canvas.width, this.canvas.height);
-                return;
+            if (!cached) {
+                // Start async load, will be used next frame once loaded
+                this.loadImage(imageUrl);
             }
-            // Start async load, will be used next frame once loaded
-            this.loadImage(imageUrl);
         }
 
-        // Fallback gradient if no image or not yet loaded
+        // Gradient behind the level (and where no image is loaded yet)
         const gradient = this.ctx.createLinearGradient(0, 0, 0, this.canvas.height);
         gradient.addColorStop(0, '#1a1a2e');
         gradient.addColorStop(1, '#16213e');
         this.ctx.fillStyle = gradient;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        if (imageUrl && this.images.get(imageUrl)) {
+            this.drawWorldImage(this.images.get(imageUrl));
+        }
+    }
+
+    // Stretch an image over the whole world (level backgrounds)
+    drawWorldImage(img) {
+        const topLeft = this.worldToScreen(0, 0);
+        this.ctx.drawImage(img, topLeft.x, topLeft.y,
+            this.world.width * this.camera.zoom, this.world.height * this.camera.zoom);
+    }
+
+    setWorldSize(width, height) {
+        this.world.width = width;
+        this.world.height = height;
     }
 
     setCamera(x, y, zoom = 1) {
         this.camera.x = x;
         this.camera.y = y;
         this.camera.zoom = zoom;
+        this.clampCamera();
+    }
+
+    // Zoom at which the whole world fits the canvas
+    getFitZoom() {
+        return Math.min(this.canvas.width / this.world.width, this.canvas.height / this.world.height);
+    }
+
+    // Show the whole world, centered
+    fitCamera() {
+        this.setCamera(this.world.width / 2, this.world.height / 2, this.getFitZoom());
+    }
+
+    // Ease the camera towards a target position and zoom; deltaTime in seconds
+    followCamera(targetX, targetY, zoom, deltaTime) {
+        const t = 1 - Math.exp(-CAMERA_SMOOTHING * deltaTime);
+        this.camera.zoom += (zoom - this.camera.zoom) * t;
+        this.camera.x += (targetX - this.camera.x) * t;
+        this.camera.y += (targetY - this.camera.y) * t;
+        this.clampCamera();
+    }
+
+    // Keep the view inside the world, centering it on axes where the world
+    // is smaller than the view
+    clampCamera() {
+        const halfWidth = this.canvas.width / 2 / this.camera.zoom;
+        const halfHeight = this.canvas.height / 2 / this.camera.zoom;
+
+        this.camera.x = this.world.width <= halfWidth * 2
+            ? this.world.width / 2
+            : Math.max(halfWidth, Math.min(this.world.width - halfWidth, this.camera.x));
+        this.camera.y = this.world.height <= halfHeight * 2
+            ? this.world.height / 2
+            : Math.max(halfHeight, Math.min(this.world.height - halfHeight, this.camera.y));
     }
 
     worldToScreen(worldX, worldY) {
@@ -182,9 +234,9 @@ class Renderer {
         this.ctx.restore();
     }
 
-    drawMarble(x, y, angle = 0) {
+    drawMarble(x, y, angle = 0, marbleRadius = 30) {
         const screenPos = this.worldToScreen(x, y);
-        const radius = 30 * this.camera.zoom;
+        const radius = (marbleRadius || 30) * this.camera.zoom;
         
         this.ctx.save();
         this.ctx.translate(screenPos.x, screenPos.y);
@@ -217,7 +269,7 @@ class Renderer {
         }
 
         const screenPos = this.worldToScreen(x, y);
-        const size = 64;
+        const size = 64 * this.camera.zoom;
         
         this.ctx.save();
         this.ctx.translate(screenPos.x, screenPos.y);
@@ -313,6 +365,78 @@ class Renderer {
         this.ctx.fillText(name, screenPos.x, screenPos.y);
     }
 
+    // Centered screen-space announcement (level complete, countdowns)
+    drawBanner(title, subtitle = '') {
+        const centerX = this.canvas.width / 2;
+        const centerY = this.canvas.height / 3;
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        this.ctx.fillRect(0, centerY - 70, this.canvas.width, subtitle ? 130 : 100);
+
+        this.ctx.textAlign = 'center';
+        this.ctx.strokeStyle = '#000000';
+        this.ctx.lineWidth = 4;
+        this.ctx.fillStyle = '#ffd700';
+        this.ctx.font = 'bold 56px Arial';
+        this.ctx.strokeText(title, centerX, centerY);
+        this.ctx.fillText(title, centerX, centerY);
+
+        if (subtitle) {
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.font = '28px Arial';
+            this.ctx.strokeText(subtitle, centerX, centerY + 45);
+            this.ctx.fillText(subtitle, centerX, centerY + 45);
+        }
+    }
+
+    // Announce level completion and the intermission countdown
+    drawLevelStatus(levelStatus) {
+        if (!levelStatus) return;
+
+        if (levelStatus.state === 'completed') {
+            this.drawBanner('Level Complete!');
+        } else if (levelStatus.state === 'intermission') {
+            const seconds = levelStatus.secondsRemaining;
+            const subtitle = levelStatus.nextLevel
+                ? `Next level: ${levelStatus.nextLevel} in ${seconds}...`
+                : `Restarting in ${seconds}...`;
+            this.drawBanner('Level Complete!', subtitle);
+        }
+    }
+
+    // Campaign title and position in its level list, top center
+    drawCampaignProgress(campaign) {
+        if (!campaign) return;
+
+        const round = campaign.loop && campaign.round > 1 ? ` (round ${campaign.round})` : '';
+        const text = `${campaign.title} - Level ${campaign.position}/${campaign.total}${round}`;
+
+        this.ctx.font = 'bold 24px Arial';
+        const width = this.ctx.measureText(text).width + 40;
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        this.ctx.fillRect((this.canvas.width - width) / 2, 10, width, 40);
+
+        this.ctx.textAlign = 'center';
+        this.ctx.fillStyle = '#ffd700';
+        this.ctx.fillText(text, this.canvas.width / 2, 38);
+    }
+
+    // Number of spectators watching the room, top right
+    drawSpectatorCount(count) {
+        if (!count) return;
+
+        const text = `👁 ${count} watching`;
+
+        this.ctx.font = 'bold 20px Arial';
+        const width = this.ctx.measureText(text).width + 30;
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        this.ctx.fillRect(this.canvas.width - width - 10, 10, width, 36);
+
+        this.ctx.textAlign = 'center';
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillText(text, this.canvas.width - width / 2 - 10, 35);
+    }
+
     drawDebugInfo(gameState) {
         this.ctx.fillStyle = '#ffffff';
         this.ctx.font = '12px monospace';
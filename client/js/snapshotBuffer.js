@@ -0,0 +1,100 @@
+// Buffer of timestamped server snapshots used to interpolate entity positions.
+// Rendering happens slightly in the past (interpolationDelay) on the server's
+// timeline, so there are normally two snapshots around the render time and
+// positions can be blended between them, whatever the real update spacing.
+class SnapshotBuffer {
+    constructor(options = {}) {
+        this.interpolationDelay = options.interpolationDelay || 150; // ms behind the latest server time
+        this.maxSnapshots = options.maxSnapshots || 30;
+        // Moves this long between two snapshots are respawns or wraps at the
+        // level's edges: jump instead of sliding across the level
+        this.teleportDistance = options.teleportDistance || 400;
+        this.snapshots = [];
+        this.clockOffset = null; // Estimated local time - server time
+    }
+
+    // Record the positions (Map of id -> { x, y, angle }) of a server snapshot
+    push(serverTime, tick, positions) {
+        if (typeof serverTime !== 'number') return;
+
+        this.updateClockOffset(Date.now() - serverTime);
+
+        // Drop out-of-order snapshots, replace duplicates of the same tick
+        const latest = this.snapshots[this.snapshots.length - 1];
+        if (latest && serverTime < latest.serverTime) return;
+        if (latest && tick === latest.tick) {
+            this.snapshots.pop();
+        }
+
+        this.snapshots.push({ serverTime, tick, positions });
+        while (this.snapshots.length > this.maxSnapshots) {
+            this.snapshots.shift();
+        }
+    }
+
+    // The smallest observed offset is the one with the least network delay;
+    // larger samples only pull the estimate slowly to follow clock drift
+    updateClockOffset(sample) {
+        if (this.clockOffset === null || sample < this.clockOffset) {
+            this.clockOffset = sample;
+        } else {
+            this.clockOffset += (sample - this.clockOffset) * 0.01;
+        }
+    }
+
+    clear() {
+        this.snapshots = [];
+    }
+
+    // Drop the history of an object, e.g. one that just came back into view,
+    // so it is not blended from where it was last seen
+    forget(objectId) {
+        this.snapshots.forEach(snapshot => snapshot.positions.delete(objectId));
+    }
+
+    // Server time to render at this frame
+    getRenderTime() {
+        if (this.clockOffset === null) return 0;
+        return Date.now() - this.clockOffset - this.interpolationDelay;
+    }
+
+    has(objectId) {
+        const latest = this.snapshots[this.snapshots.length - 1];
+        return !!latest && latest.positions.has(objectId);
+    }
+
+    getPosition(objectId, renderTime) {
+        const count = this.snapshots.length;
+        if (count === 0) return null;
+
+        // Find the newest snapshot at or before the render time
+        let index = count - 1;
+        while (index > 0 && this.snapshots[index].serverTime > renderTime) {
+            index--;
+        }
+
+        const from = this.snapshots[index];
+        const to = this.snapshots[index + 1];
+        const fromPosition = from.positions.get(objectId);
+        const toPosition = to && to.positions.get(objectId);
+
+        if (!fromPosition || !toPosition) {
+            // Not enough history for this object: use the closest known position
+            return toPosition || fromPosition || this.snapshots[count - 1].positions.get(objectId) || null;
+        }
+
+        if (Math.abs(toPosition.x - fromPosition.x) > this.teleportDistance ||
+            Math.abs(toPosition.y - fromPosition.y) > this.teleportDistance) {
+            return fromPosition;
+        }
+
+        const span = to.serverTime - from.serverTime;
+        const progress = span > 0 ? Math.max(0, Math.min(1, (renderTime - from.serverTime) / span)) : 1;
+
+        return {
+            x: fromPosition.x + (toPosition.x - fromPosition.x) * progress,
+            y: fromPosition.y + (toPosition.y - fromPosition.y) * progress,
+            angle: fromPosition.angle + (toPosition.angle - fromPosition.angle) * progress
+        };
+    }
+}
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Image types accepted as level assets, by file extension
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+// Served at /assets, level files reference them as ./assets/<file>
+const ASSET_URL_PREFIX = './assets/';
+const ASSET_FILE_PATTERN = /^[0-9a-f]{64}\.[a-z]+$/;
+const MAX_ASSET_BYTES = 10 * 1024 * 1024;
+
+// Upload details (original name, uploader, time) by file name. Dotfiles are
+// not served by express.static, so the index stays private.
+const INDEX_FILE = '.index.json';
+
+// Images used by levels (backgrounds), stored under the SHA-256 of their
+// content so the same image is only stored once and file names never clash.
+class AssetStore {
+  constructor(assetsDir) {
+    this.assetsDir = path.resolve(assetsDir);
+    fs.mkdirSync(this.assetsDir, { recursive: true });
+    this.indexPath = path.join(this.assetsDir, INDEX_FILE);
+    this.index = this.loadIndex();
+  }
+
+  loadIndex() {
+    if (!fs.existsSync(this.indexPath)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+    } catch (error) {
+      console.error('Failed to load asset index:', error.message);
+      return {};
+    }
+  }
+
+  saveIndex() {
+    try {
+      const tempPath = `${this.indexPath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.index, null, 2));
+      fs.renameSync(tempPath, this.indexPath);
+    } catch (error) {
+      console.error('Failed to save asset index:', error.message);
+    }
+  }
+
+  static isImageExtension(extension) {
+    return Object.prototype.hasOwnProperty.call(IMAGE_TYPES, extension);
+  }
+
+  // Detect the image type from the first bytes, null if it is not a supported image
+  static detectExtension(buffer) {
+    if (buffer.length < 12) return null;
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpg';
+    if (buffer.subarray(0, 4).toString('ascii') === 'GIF8') return 'gif';
+    if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') return 'webp';
+    return null;
+  }
+
+  // File name of a ./assets/<file> URL, null for other URLs
+  static fileNameFromUrl(url) {
+    if (typeof url !== 'string') return null;
+
+    const fileName = url.replace(/^\.?\/?assets\//, '');
+    return fileName !== url && ASSET_FILE_PATTERN.test(fileName) ? fileName : null;
+  }
+
+  // File name and URL image data is stored under, without storing it. Throws
+  // if the data is too large or not a supported image.
+  static identify(buffer) {
+    if (buffer.length > MAX_ASSET_BYTES) {
+      throw new Error(`Image is larger than ${MAX_ASSET_BYTES} bytes`);
+    }
+    const extension = AssetStore.detectExtension(buffer);
+    if (!extension) {
+      throw new Error('Unsupported image type (png, jpg, gif or webp expected)');
+    }
+
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const fileName = `${hash}.${extension}`;
+    return { fileName, url: `${ASSET_URL_PREFIX}${fileName}` };
+  }
+
+  // Store image data, returns { fileName, url, size, existed }. Throws like
+  // identify(). meta ({ originalName, uploadedBy }) is recorded for the asset
+  // library the first time an image is stored.
+  save(buffer, meta = {}) {
+    const { fileName } = AssetStore.identify(buffer);
+    const filePath = path.join(this.assetsDir, fileName);
+
+    const existed = fs.existsSync(filePath);
+    if (!existed) {
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, buffer);
+      fs.renameSync(tempPath, filePath);
+    }
+
+    if (!this.index[fileName]) {
+      this.index[fileName] = {
+        originalName: meta.originalName || null,
+        uploadedBy: meta.uploadedBy || null,
+        uploadedAt: Date.now()
+      };
+      this.saveIndex();
+    }
+
+    return { fileName, url: `${ASSET_URL_PREFIX}${fileName}`, size: buffer.length, existed };
+  }
+
+  // Stored assets, newest first: [{ fileName, url, size, type, originalName, uploadedBy, uploadedAt }]
+  list() {
+    return fs.readdirSync(this.assetsDir)
+      .filter(fileName => ASSET_FILE_PATTERN.test(fileName))
+      .map(fileName => {
+        const stats = fs.statSync(path.join(this.assetsDir, fileName));
+        const info = this.index[fileName] || {};
+        return {
+          fileName,
+          url: `${ASSET_URL_PREFIX}${fileName}`,
+          size: stats.size,
+          type: IMAGE_TYPES[path.extname(fileName).slice(1)] || null,
+          originalName: info.originalName || null,
+          uploadedBy: info.uploadedBy || null,
+          uploadedAt: info.uploadedAt || stats.mtimeMs
+        };
+      })
+      .sort((a, b) => b.uploadedAt - a.uploadedAt);
+  }
+
+  // Image data of a stored asset, null if there is none
+  read(fileName) {
+    if (!ASSET_FILE_PATTERN.test(fileName)) return null;
+
+    const filePath = path.join(this.assetsDir, fileName);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+  }
+}
+
+AssetStore.IMAGE_TYPES = IMAGE_TYPES;
+AssetStore.ASSET_URL_PREFIX = ASSET_URL_PREFIX;
+AssetStore.MAX_ASSET_BYTES = MAX_ASSET_BYTES;
+
+module.exports = AssetStore;
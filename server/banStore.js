@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+// Longest ban the admin panel can set, in minutes (30 days)
+const MAX_BAN_MINUTES = 30 * 24 * 60;
+
+// Temporary bans (userId -> { userId, username, reason, bannedBy, createdAt,
+// expiresAt }) set from the admin panel, stored as a single JSON file.
+// Banned users cannot log in as players until the ban expires; expired bans
+// are dropped when they are looked up.
+class BanStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.bans = new Map();
+
+    this.load();
+  }
+
+  static isValidDuration(minutes) {
+    return Number.isFinite(minutes) && minutes > 0 && minutes <= MAX_BAN_MINUTES;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.values(data).forEach(ban => {
+        this.bans.set(ban.userId, ban);
+      });
+      console.log(`Loaded ${this.bans.size} bans`);
+    } catch (error) {
+      console.error('Failed to load bans:', error.message);
+    }
+  }
+
+  // Remove expired bans, saving when any were removed
+  prune(now = Date.now()) {
+    let removed = false;
+    this.bans.forEach((ban, userId) => {
+      if (ban.expiresAt <= now) {
+        this.bans.delete(userId);
+        removed = true;
+      }
+    });
+    if (removed) {
+      this.save();
+    }
+  }
+
+  // Active ban of a user, null if there is none
+  getBan(userId) {
+    if (userId === undefined || userId === null) return null;
+
+    this.prune();
+    return this.bans.get(String(userId)) || null;
+  }
+
+  list() {
+    this.prune();
+    return Array.from(this.bans.values()).sort((a, b) => a.expiresAt - b.expiresAt);
+  }
+
+  // Ban a user for a number of minutes, replacing an existing ban
+  ban(userId, { minutes, reason = '', username = null, bannedBy = null }) {
+    const now = Date.now();
+    const ban = {
+      userId: String(userId),
+      username,
+      reason,
+      bannedBy,
+      createdAt: now,
+      expiresAt: now + minutes * 60 * 1000
+    };
+
+    this.bans.set(ban.userId, ban);
+    this.save();
+    return ban;
+  }
+
+  unban(userId) {
+    const removed = this.bans.delete(String(userId));
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.bans), null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Failed to save bans:', error.message);
+    }
+  }
+}
+
+BanStore.MAX_BAN_MINUTES = MAX_BAN_MINUTES;
+
+module.exports = BanStore;
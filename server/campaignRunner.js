@@ -0,0 +1,74 @@
+// Plays a campaign in a room: tracks the position in its level list and
+// decides which level follows the current one. Shuffled campaigns get a new
+// order for every round; campaigns without loop finish after the last level.
+class CampaignRunner {
+  constructor(campaign, options = {}) {
+    this.campaign = campaign;
+    this.random = options.random || Math.random;
+    this.round = 1;
+    this.index = 0;
+    this.order = this.buildOrder();
+    this.nextOrder = null; // Order of the next round, once peekNext needed it
+  }
+
+  buildOrder() {
+    const order = [...this.campaign.levels];
+    if (this.campaign.shuffle) {
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(this.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+    }
+    return order;
+  }
+
+  get currentLevel() {
+    return this.order[this.index];
+  }
+
+  // Level after the current one, null when the campaign ends with it
+  peekNext() {
+    if (this.index + 1 < this.order.length) {
+      return this.order[this.index + 1];
+    }
+    if (!this.campaign.loop) {
+      return null;
+    }
+    if (!this.nextOrder) {
+      this.nextOrder = this.buildOrder();
+    }
+    return this.nextOrder[0];
+  }
+
+  // Move to the next level, returns its name or null when the campaign is over
+  advance() {
+    if (this.index + 1 < this.order.length) {
+      this.index++;
+      return this.currentLevel;
+    }
+    if (!this.campaign.loop) {
+      return null;
+    }
+
+    this.order = this.nextOrder || this.buildOrder();
+    this.nextOrder = null;
+    this.index = 0;
+    this.round++;
+    return this.currentLevel;
+  }
+
+  getProgress() {
+    return {
+      campaignId: this.campaign.id,
+      title: this.campaign.title,
+      levelName: this.currentLevel,
+      position: this.index + 1,
+      total: this.order.length,
+      round: this.round,
+      loop: !!this.campaign.loop,
+      shuffle: !!this.campaign.shuffle
+    };
+  }
+}
+
+module.exports = CampaignRunner;
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+
+// Campaign ids are used as file names
+const CAMPAIGN_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Errors carry the HTTP status the routes should answer with
+class CampaignStoreError extends Error {
+  constructor(message, status, details = []) {
+    super(message);
+    this.name = 'CampaignStoreError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Named campaigns: ordered level lists with a title, description and
+// loop/shuffle options. Stored in the data directory like the other stores,
+// one file per campaign in data/campaigns/<id>.json, and kept in memory.
+class CampaignStore {
+  // options.levelRepository: used to check that campaign levels exist
+  constructor(dirPath, options = {}) {
+    this.dirPath = path.resolve(dirPath);
+    this.levelRepository = options.levelRepository;
+    this.campaigns = new Map();
+
+    this.load();
+  }
+
+  static isValidId(id) {
+    return typeof id === 'string' && CAMPAIGN_ID_PATTERN.test(id);
+  }
+
+  load() {
+    if (!fs.existsSync(this.dirPath)) {
+      return;
+    }
+
+    fs.readdirSync(this.dirPath)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        try {
+          const campaign = JSON.parse(fs.readFileSync(path.join(this.dirPath, file), 'utf8'));
+          this.campaigns.set(campaign.id, campaign);
+        } catch (error) {
+          console.error(`Failed to load campaign ${file}:`, error.message);
+        }
+      });
+    console.log(`Loaded ${this.campaigns.size} campaigns`);
+  }
+
+  list() {
+    return Array.from(this.campaigns.values())
+      .sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  get(id) {
+    return this.campaigns.get(id) || null;
+  }
+
+  // Problems with campaign data as [{ path, message }]
+  validate(data) {
+    const errors = [];
+    const error = (path, message) => errors.push({ path, message });
+
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      error('', 'campaign must be an object');
+      return errors;
+    }
+
+    if (typeof data.title !== 'string' || !data.title.trim()) {
+      error('title', 'must be a non-empty string');
+    }
+    if (data.description !== undefined && typeof data.description !== 'string') {
+      error('description', 'must be a string');
+    }
+    ['loop', 'shuffle'].forEach(key => {
+      if (data[key] !== undefined && typeof data[key] !== 'boolean') {
+        error(key, 'must be a boolean');
+      }
+    });
+
+    if (!Array.isArray(data.levels) || data.levels.length === 0) {
+      error('levels', 'must be a non-empty array of level names');
+    } else {
+      data.levels.forEach((levelName, index) => {
+        if (this.levelRepository && !this.levelRepository.exists(levelName)) {
+          error(`levels[${index}]`, `unknown level "${levelName}"`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  // Create or replace a campaign, returns the stored campaign
+  save(id, data) {
+    if (!CampaignStore.isValidId(id)) {
+      throw new CampaignStoreError('Campaign ids may only contain letters, numbers, _ and - (max 64)', 400);
+    }
+
+    const errors = this.validate(data);
+    if (errors.length > 0) {
+      const summary = errors.map(e => (e.path ? `${e.path} ${e.message}` : e.message)).join('; ');
+      throw new CampaignStoreError(`Invalid campaign: ${summary}`, 400, errors);
+    }
+
+    const existing = this.campaigns.get(id);
+    const campaign = {
+      id,
+      title: data.title.trim(),
+      description: data.description || '',
+      levels: [...data.levels],
+      loop: !!data.loop,
+      shuffle: !!data.shuffle,
+      createdAt: existing ? existing.createdAt : Date.now(),
+      updatedAt: Date.now()
+    };
+
+    try {
+      fs.mkdirSync(this.dirPath, { recursive: true });
+
+      const filePath = path.join(this.dirPath, `${id}.json`);
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(campaign, null, 2));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.error(`Failed to save campaign ${id}:`, error.message);
+      throw new CampaignStoreError('Failed to save campaign', 500);
+    }
+
+    this.campaigns.set(id, campaign);
+    return campaign;
+  }
+
+  delete(id) {
+    if (!this.campaigns.has(id)) {
+      throw new CampaignStoreError('Campaign not found', 404);
+    }
+
+    fs.rmSync(path.join(this.dirPath, `${id}.json`), { force: true });
+    this.campaigns.delete(id);
+  }
+}
+
+CampaignStore.CampaignStoreError = CampaignStoreError;
+
+module.exports = CampaignStore;
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+
+// Level storage in the levels directory, one <name>.json file per level and
+// revisions in levels/.history/<name>/<id>.json holding the revision
+// metadata and level data. See levelStorage.js for the interface.
+class FileLevelStorage {
+  constructor(levelsDir) {
+    this.levelsDir = path.resolve(levelsDir);
+    this.historyDir = path.join(this.levelsDir, '.history');
+    fs.mkdirSync(this.historyDir, { recursive: true });
+  }
+
+  // Names are validated by the repository, this only guards the directory
+  levelPath(name) {
+    const levelPath = path.resolve(this.levelsDir, `${name}.json`);
+    if (path.dirname(levelPath) !== this.levelsDir) {
+      throw new Error(`Invalid level name: ${name}`);
+    }
+    return levelPath;
+  }
+
+  historyPath(name) {
+    const historyPath = path.resolve(this.historyDir, name);
+    if (path.dirname(historyPath) !== this.historyDir) {
+      throw new Error(`Invalid level name: ${name}`);
+    }
+    return historyPath;
+  }
+
+  revisionPath(name, id) {
+    return path.join(this.historyPath(name), `${String(id).padStart(6, '0')}.json`);
+  }
+
+  list() {
+    return fs.readdirSync(this.levelsDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        const stats = fs.statSync(path.join(this.levelsDir, file));
+        return {
+          name: file.slice(0, -'.json'.length),
+          modified: stats.mtime,
+          size: stats.size
+        };
+      });
+  }
+
+  // Levels whose name or description contains the query (case-insensitive).
+  // Reads every file, the SQLite storage answers this from its index.
+  search(query) {
+    const needle = query.toLowerCase();
+
+    return this.list().filter(level => {
+      if (level.name.toLowerCase().includes(needle)) return true;
+
+      try {
+        const { description } = JSON.parse(this.read(level.name));
+        return typeof description === 'string' && description.toLowerCase().includes(needle);
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  exists(name) {
+    return fs.existsSync(this.levelPath(name));
+  }
+
+  read(name) {
+    const levelPath = this.levelPath(name);
+    return fs.existsSync(levelPath) ? fs.readFileSync(levelPath, 'utf8') : null;
+  }
+
+  write(name, levelData) {
+    const levelPath = this.levelPath(name);
+    const tempPath = `${levelPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(levelData, null, 2));
+    fs.renameSync(tempPath, levelPath);
+  }
+
+  remove(name) {
+    fs.unlinkSync(this.levelPath(name));
+  }
+
+  // Revision metadata, newest first
+  listRevisions(name) {
+    const historyPath = this.historyPath(name);
+    if (!fs.existsSync(historyPath)) {
+      return [];
+    }
+
+    return fs.readdirSync(historyPath)
+      .filter(file => /^\d+\.json$/.test(file))
+      .map(file => {
+        try {
+          const { level, ...revision } = JSON.parse(fs.readFileSync(path.join(historyPath, file), 'utf8'));
+          return revision;
+        } catch (error) {
+          console.error(`Skipping unreadable revision ${name}/${file}:`, error.message);
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.id - a.id);
+  }
+
+  // Revision with its level data, null if there is no such revision
+  readRevision(name, id) {
+    const revisionPath = this.revisionPath(name, id);
+    if (!fs.existsSync(revisionPath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(revisionPath, 'utf8'));
+  }
+
+  // Store a revision ({ levelName, action, author, message, createdAt, level })
+  // under the next id, returns its metadata
+  addRevision(name, revision) {
+    fs.mkdirSync(this.historyPath(name), { recursive: true });
+
+    const revisions = this.listRevisions(name);
+    const { level, ...metadata } = { id: revisions.length > 0 ? revisions[0].id + 1 : 1, ...revision };
+
+    fs.writeFileSync(this.revisionPath(name, metadata.id), JSON.stringify({ ...metadata, level }, null, 2));
+    return metadata;
+  }
+
+  // Names of all levels with a history, including deleted ones
+  listHistoryNames() {
+    return fs.readdirSync(this.historyDir)
+      .filter(name => this.listRevisions(name).length > 0);
+  }
+}
+
+module.exports = FileLevelStorage;
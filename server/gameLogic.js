@@ -1,20 +1,75 @@
 const Matter = require('matter-js');
+const { performance } = require('perf_hooks');
+const UfoPhysics = require('../shared/ufoPhysics');
+const LevelSchema = require('../shared/levelSchema');
+const { DEFAULT_PHYSICS } = require('./physicsConfig');
+const { SampleWindow } = require('./metrics');
+
+const FIXED_TIMESTEP = UfoPhysics.TIMESTEP; // 60 physics ticks per second
+const MAX_STEPS_PER_FRAME = 10;   // Catch up at most this many ticks after a stall
+const MAX_QUEUED_INPUTS = 6;      // Per player, about 100 ms of inputs
+const TICKS_PER_SECOND = Math.round(1000 / FIXED_TIMESTEP);
+const DEFAULT_INTERMISSION_SECONDS = 5;
+const COMPLETION_XP = 100;        // Awarded to every player once per completed level
+
+// Level lifecycle: loading -> playing -> completed -> intermission -> (next level) loading
+const LEVEL_STATES = {
+  LOADING: 'loading',
+  PLAYING: 'playing',
+  COMPLETED: 'completed',
+  INTERMISSION: 'intermission'
+};
 
 class GameLogic {
-  constructor() {
+  constructor(options = {}) {
     this.engine = Matter.Engine.create();
     this.world = this.engine.world;
     this.players = new Map();
     this.marbles = [];
+    // Marbles spawned together (several spawnpoints, a restored snapshot)
+    // share a millisecond, so they are numbered instead
+    this.nextMarbleId = 1;
     this.emotes = [];
     this.currentLevel = null;
+    this.worldSize = LevelSchema.getWorldSize(null);
+    this.bounds = LevelSchema.getBounds(null);
     this.levelObjects = [];
     this.constraints = [];
     this.eventListeners = new Map();
     this.teleportCooldowns = new Map(); // Track teleport cooldowns per object
 
-    // Configure physics
-    this.engine.world.gravity.y = 0.8;
+    // Simulation clock: tick counter and the wall-clock time of tick 0
+    this.tick = 0;
+    this.simulationStart = Date.now();
+
+    // Level lifecycle
+    this.levelState = LEVEL_STATES.LOADING;
+    this.intermissionSeconds = options.intermissionSeconds != null
+      ? options.intermissionSeconds
+      : DEFAULT_INTERMISSION_SECONDS;
+    this.intermissionEndTick = null;
+    this.pendingNextLevel = null;
+    this.lastCountdownSeconds = null;
+
+    // Set by a room playing a campaign: the level following the current one,
+    // taking precedence over the goal's nextLevel
+    this.scheduledNextLevel = null;
+    // Set by the rotation scheduler: the level following a goal without nextLevel
+    this.defaultNextLevel = null;
+
+    // Last time a player moved or used their beam (idle detection)
+    this.lastInputAt = Date.now();
+
+    // Health numbers for /metrics
+    this.stats = {
+      tickDurations: new SampleWindow(),
+      emotesSpawned: 0,
+      emotesDropped: 0 // The level has no emotespawn or spawnpoint
+    };
+
+    // Configure physics (tunable live, see setPhysics)
+    this.physics = { ...DEFAULT_PHYSICS, ...(options.physics || {}) };
+    this.engine.world.gravity.y = this.physics.gravity;
 
     // Start physics loop
     this.startPhysicsLoop();
@@ -34,43 +89,106 @@ class GameLogic {
     }
   }
 
+  // Accumulator-based fixed timestep: the interval only drives the loop, the
+  // number of physics ticks run is derived from the real elapsed time so a
+  // stalled event loop catches up instead of slowing the simulation down.
   startPhysicsLoop() {
-    setInterval(() => {
-      Matter.Engine.update(this.engine, 1000 / 60); // Fixed 60 FPS timing
-      this.updateGameState();
-    }, 1000 / 60); // 16.67ms intervals
-  }
-
-  addPlayer(socketId, username, userId) {
-    // Find spawn position - prioritize playerspawn, then fall back to spawnpoint
-    let spawnX = 960;
-    let spawnY = 540;
-    if (this.levelObjects) {
-      // First try playerspawn
-      let spawnLocation = this.levelObjects.find(obj =>
-        obj.properties && obj.properties.includes('playerspawn')
-      );
+    this.accumulator = 0;
+    this.lastLoopTime = performance.now();
+    this.physicsInterval = setInterval(() => this.runPhysicsFrame(), FIXED_TIMESTEP);
+  }
 
-      // Fall back to spawnpoint if no playerspawn found
-      if (!spawnLocation) {
-        spawnLocation = this.levelObjects.find(obj =>
-          obj.properties && obj.properties.includes('spawnpoint')
-        );
-      }
+  runPhysicsFrame() {
+    const now = performance.now();
+    this.accumulator += now - this.lastLoopTime;
+    this.lastLoopTime = now;
 
-      if (spawnLocation) {
-        spawnX = spawnLocation.x;
-        spawnY = spawnLocation.y;
-      }
+    let steps = 0;
+    while (this.accumulator >= FIXED_TIMESTEP && steps < MAX_STEPS_PER_FRAME) {
+      this.stepSimulation();
+      this.accumulator -= FIXED_TIMESTEP;
+      steps++;
+    }
+
+    // Too far behind to catch up: drop the backlog and shift the simulation
+    // clock so server timestamps stay aligned with the wall clock
+    if (this.accumulator >= FIXED_TIMESTEP) {
+      const droppedTicks = Math.floor(this.accumulator / FIXED_TIMESTEP);
+      console.warn(`Physics loop fell behind, dropping ${droppedTicks} ticks`);
+      this.simulationStart += droppedTicks * FIXED_TIMESTEP;
+      this.accumulator -= droppedTicks * FIXED_TIMESTEP;
+    }
+  }
+
+  // One physics tick. Input and beam forces are applied right before the
+  // engine update so they are integrated in the same tick, which is what the
+  // client prediction (UfoPhysics.step) assumes when replaying inputs.
+  stepSimulation() {
+    const start = performance.now();
+
+    this.applyPlayerInputs();
+    this.updateBeamEffects();
+    Matter.Engine.update(this.engine, FIXED_TIMESTEP);
+    this.tick++;
+    this.updateGameState();
+
+    this.stats.tickDurations.record(performance.now() - start);
+  }
+
+  // Server time (ms since epoch) of the current tick
+  getServerTime() {
+    return Math.round(this.simulationStart + this.tick * FIXED_TIMESTEP);
+  }
+
+  setLevelState(state) {
+    if (this.levelState === state) return;
+    this.levelState = state;
+    this.emit('levelStateChanged', this.getLevelStatus());
+  }
+
+  // Lifecycle state and intermission countdown, as sent to clients
+  getLevelStatus() {
+    const status = { state: this.levelState };
+    if (this.levelState === LEVEL_STATES.INTERMISSION) {
+      status.secondsRemaining = this.getIntermissionSecondsRemaining();
+      status.nextLevel = this.pendingNextLevel;
+    }
+    return status;
+  }
+
+  getIntermissionSecondsRemaining() {
+    const ticksRemaining = Math.max(0, this.intermissionEndTick - this.tick);
+    return Math.ceil(ticksRemaining / TICKS_PER_SECOND);
+  }
+
+  setIntermissionDuration(seconds) {
+    this.intermissionSeconds = Math.max(0, seconds);
+  }
+
+  // Stop the physics loop (used when a room is closed)
+  stop() {
+    if (this.physicsInterval) {
+      clearInterval(this.physicsInterval);
+      this.physicsInterval = null;
     }
+  }
+
+  // progress: saved { xp, level } of the player, if any
+  addPlayer(socketId, username, userId, progress = {}) {
+    const xp = progress.xp || 0;
+    const level = progress.level || 1;
+
+    const spawnLocation = this.getPlayerSpawnLocation();
+    const spawnX = spawnLocation ? spawnLocation.x : 960;
+    const spawnY = spawnLocation ? spawnLocation.y : 540;
 
     // Create UFO physics body
-    const ufoBody = Matter.Bodies.circle(spawnX, spawnY, 25, {
+    const ufoBody = Matter.Bodies.circle(spawnX, spawnY, UfoPhysics.UFO_BODY.radius, {
       isStatic: false,
-      friction: 0.2,        // Increased from 0.1
-      frictionAir: 0.05,    // Increased from 0.05 for better stopping
-      restitution: 0.2,     // Reduced from 0.3 for less bouncing
-      density: 0.0008,       // Increased from 0.001 for more stability
+      friction: UfoPhysics.UFO_BODY.friction,
+      frictionAir: UfoPhysics.UFO_BODY.frictionAir,
+      restitution: UfoPhysics.UFO_BODY.restitution,
+      density: UfoPhysics.UFO_BODY.density,
       render: {
         fillStyle: '#4ecdc4'
       }
@@ -88,10 +206,13 @@ class GameLogic {
       y: spawnY,
       beamActive: false,
       beamTarget: null,
-      xp: 0,
-      level: 1,
+      xp,
+      level,
+      joinedAt: Date.now(),
       targetX: spawnX,
-      targetY: spawnY
+      targetY: spawnY,
+      pendingInputs: [],
+      lastInputSeq: 0
     };
 
     this.players.set(socketId, player);
@@ -105,11 +226,49 @@ class GameLogic {
       y: spawnY,
       beamActive: false,
       beamTarget: null,
-      xp: 0,
-      level: 1
+      xp,
+      level
     };
   }
 
+  // Where UFOs spawn - prioritize playerspawn, then fall back to spawnpoint
+  getPlayerSpawnLocation() {
+    if (!this.levelObjects) return null;
+
+    return this.levelObjects.find(obj => obj.properties && obj.properties.includes('playerspawn')) ||
+      this.levelObjects.find(obj => obj.properties && obj.properties.includes('spawnpoint')) ||
+      null;
+  }
+
+  // Move a player's UFO back to the spawn location (admin action), returns
+  // false if the player is not in the game
+  teleportPlayerToSpawn(socketId) {
+    const player = this.players.get(socketId);
+    if (!player) return false;
+
+    const spawnLocation = this.getPlayerSpawnLocation();
+    const x = spawnLocation ? spawnLocation.x : 960;
+    const y = spawnLocation ? spawnLocation.y : 540;
+
+    Matter.Body.setPosition(player.body, { x, y });
+    Matter.Body.setVelocity(player.body, { x: 0, y: 0 });
+    Matter.Body.setAngularVelocity(player.body, 0);
+    player.x = x;
+    player.y = y;
+    return true;
+  }
+
+  // Put every marble back where it spawned (admin action for stuck marbles),
+  // returns the number of marbles reset
+  resetMarbles() {
+    this.marbles.forEach(marble => {
+      Matter.Body.setPosition(marble.body, marble.spawn);
+      Matter.Body.setVelocity(marble.body, { x: 0, y: 0 });
+      Matter.Body.setAngularVelocity(marble.body, 0);
+    });
+    return this.marbles.length;
+  }
+
   removePlayer(socketId) {
     const player = this.players.get(socketId);
     if (player && player.body) {
@@ -118,47 +277,108 @@ class GameLogic {
     this.players.delete(socketId);
   }
 
+  // Inputs are queued and consumed one per tick, matching the client which
+  // sends one input per predicted tick
   updatePlayerInput(socketId, input) {
     const player = this.players.get(socketId);
     if (player) {
-      player.input = input;
+      player.pendingInputs.push(input);
+      // Don't let a burst of late inputs build up lag
+      if (player.pendingInputs.length > MAX_QUEUED_INPUTS) {
+        player.pendingInputs.shift();
+      }
     }
   }
 
   // Apply input forces directly like the reference game
   applyPlayerInputs() {
     this.players.forEach(player => {
+      // Without a new input the previous one stays held
+      if (player.pendingInputs.length > 0) {
+        player.input = player.pendingInputs.shift();
+      }
+
       if (player.input && player.body) {
-        const forceAmount = 0.003; // Similar to reference game's 0.0035
-        let fx = 0, fy = 0;
-        
-        if (player.input.up) fy -= forceAmount;
-        if (player.input.down) fy += forceAmount;
-        if (player.input.left) fx -= forceAmount;
-        if (player.input.right) fx += forceAmount;
-        
-        if (fx !== 0 || fy !== 0) {
-          Matter.Body.applyForce(
-            player.body,
-            player.body.position,
-            { x: fx, y: fy }
-          );
+        const force = UfoPhysics.getInputForce(player.input, this.physics.ufoForce);
+
+        if (force.x !== 0 || force.y !== 0) {
+          Matter.Body.applyForce(player.body, player.body.position, force);
+          this.lastInputAt = Date.now();
+        }
+
+        // Acknowledge the input sequence number for client reconciliation
+        if (typeof player.input.seq === 'number') {
+          player.lastInputSeq = player.input.seq;
         }
       }
     });
   }
 
+  // Change physics settings of the running game (validated by the caller,
+  // see validatePhysicsConfig). Existing marbles take the new marble settings.
+  // Returns the full settings.
+  setPhysics(changes) {
+    const previousRadius = this.physics.marbleRadius;
+    this.physics = { ...this.physics, ...changes };
+
+    this.engine.world.gravity.y = this.physics.gravity;
+
+    this.marbles.forEach(marble => {
+      if (this.physics.marbleRadius !== previousRadius) {
+        const scale = this.physics.marbleRadius / previousRadius;
+        Matter.Body.scale(marble.body, scale, scale);
+      }
+      Matter.Body.set(marble.body, {
+        friction: this.physics.marbleFriction,
+        restitution: this.physics.marbleRestitution
+      });
+      Matter.Body.setDensity(marble.body, this.physics.marbleDensity);
+    });
+
+    this.emit('physicsChanged', this.getPredictionParams());
+    return this.physics;
+  }
+
+  // Parameters the client needs to predict its own UFO with UfoPhysics.step,
+  // plus the marble size for drawing
+  getPredictionParams() {
+    if (!this.ufoMass) {
+      const { radius, density } = UfoPhysics.UFO_BODY;
+      this.ufoMass = Matter.Bodies.circle(0, 0, radius, { density }).mass;
+    }
+
+    return {
+      mass: this.ufoMass,
+      radius: UfoPhysics.UFO_BODY.radius,
+      frictionAir: UfoPhysics.UFO_BODY.frictionAir,
+      forceAmount: this.physics.ufoForce,
+      marbleRadius: this.physics.marbleRadius,
+      gravity: {
+        x: this.engine.world.gravity.x,
+        y: this.engine.world.gravity.y,
+        scale: this.engine.world.gravity.scale
+      }
+    };
+  }
+
   activateBeam(socketId, active) {
     const player = this.players.get(socketId);
     if (player) {
       player.beamActive = active;
-      if (!active) {
+      if (active) {
+        this.lastInputAt = Date.now();
+      } else {
         player.beamTarget = null;
       }
     }
   }
 
   loadLevel(levelData) {
+    this.setLevelState(LEVEL_STATES.LOADING);
+    this.intermissionEndTick = null;
+    this.pendingNextLevel = null;
+    this.lastInputAt = Date.now();
+
     // Clear existing level objects
     this.levelObjects.forEach(obj => {
       Matter.World.remove(this.world, obj.body);
@@ -184,6 +404,8 @@ class GameLogic {
     this.emotes = [];
 
     this.currentLevel = levelData;
+    this.worldSize = LevelSchema.getWorldSize(levelData);
+    this.bounds = LevelSchema.getBounds(levelData);
 
     // Create physics bodies for level objects
     levelData.objects.forEach(obj => {
@@ -249,6 +471,8 @@ class GameLogic {
         this.createConstraint(connection);
       });
     }
+
+    this.setLevelState(LEVEL_STATES.PLAYING);
   }
 
   createConstraint(connection) {
@@ -349,21 +573,24 @@ class GameLogic {
   }
 
   spawnMarble(x, y) {
-    const marble = Matter.Bodies.circle(x, y, 30, {
-      friction: 0.000005,
-      restitution: 0.7,
-      density: 0.004,
+    const marble = Matter.Bodies.circle(x, y, this.physics.marbleRadius, {
+      friction: this.physics.marbleFriction,
+      restitution: this.physics.marbleRestitution,
+      density: this.physics.marbleDensity,
       render: {
         fillStyle: '#ff6b6b'
       }
     });
 
     Matter.World.add(this.world, marble);
-    this.marbles.push({
-      id: Date.now(),
+    const entry = {
+      id: this.nextMarbleId++,
       body: marble,
-      type: 'marble'
-    });
+      type: 'marble',
+      spawn: { x, y }
+    };
+    this.marbles.push(entry);
+    return entry;
   }
 
   spawnEmote(emoteUrl, emoteName) {
@@ -380,148 +607,158 @@ class GameLogic {
     }
 
     if (spawnLocation) {
-      const emote = Matter.Bodies.circle(
-        spawnLocation.x + Math.random() * 100 - 50,
-        spawnLocation.y - 50,
-        20,
-        {
-          friction: 0.3,
-          restitution: 0.7,
-          render: {
-            sprite: {
+      this.addEmote(emoteUrl, emoteName, spawnLocation.x + Math.random() * 100 - 50, spawnLocation.y - 50);
+      this.stats.emotesSpawned++;
+    } else {
+      this.stats.emotesDropped++;
+    }
+  }
+
+  addEmote(emoteUrl, emoteName, x, y) {
+    const emote = Matter.Bodies.circle(x, y, 20, {
+      friction: 0.3,
+      restitution: 0.7,
+      render: {
+        sprite: {
           texture: emoteUrl
-            }
-          }
         }
-      );
+      }
+    });
 
-      Matter.World.add(this.world, emote);
-      this.emotes.push({
-        id: Date.now() + Math.random(),
-        body: emote,
-        type: 'emote',
-        name: emoteName,
-        url: emoteUrl
-      });
-    }
+    Matter.World.add(this.world, emote);
+    const entry = {
+      id: Date.now() + Math.random(),
+      body: emote,
+      type: 'emote',
+      name: emoteName,
+      url: emoteUrl
+    };
+    this.emotes.push(entry);
+    return entry;
   }
 
-  handleBeamInteraction(socketId, targetX, targetY) {
-    const player = this.players.get(socketId);
-    if (!player || !player.beamActive) return;
+  // Positions and velocities of the dynamic bodies, to restore the world
+  // after a restart (see worldSnapshot.js)
+  getSnapshot() {
+    const bodyState = body => ({
+      x: body.position.x,
+      y: body.position.y,
+      angle: body.angle,
+      vx: body.velocity.x,
+      vy: body.velocity.y,
+      angularVelocity: body.angularVelocity
+    });
+
+    return {
+      physics: { ...this.physics },
+      levelObjects: this.levelObjects
+        .filter(obj => !obj.isStatic)
+        .map(obj => ({ id: obj.id, ...bodyState(obj.body) })),
+      marbles: this.marbles.map(marble => ({ spawn: marble.spawn, ...bodyState(marble.body) })),
+      emotes: this.emotes.map(emote => ({ name: emote.name, url: emote.url, ...bodyState(emote.body) }))
+    };
+  }
+
+  // Put the bodies of a loaded level back where a snapshot had them. The
+  // marbles spawned by loadLevel are replaced by the snapshot's marbles.
+  restoreSnapshot(snapshot) {
+    const setBodyState = (body, state) => {
+      Matter.Body.setPosition(body, { x: state.x, y: state.y });
+      Matter.Body.setAngle(body, state.angle);
+      Matter.Body.setVelocity(body, { x: state.vx, y: state.vy });
+      Matter.Body.setAngularVelocity(body, state.angularVelocity);
+    };
+
+    if (snapshot.physics) {
+      this.setPhysics(snapshot.physics);
+    }
+
+    (snapshot.levelObjects || []).forEach(state => {
+      const obj = this.levelObjects.find(o => o.id === state.id && !o.isStatic);
+      if (obj) {
+        setBodyState(obj.body, state);
+      }
+    });
+
+    this.marbles.forEach(marble => Matter.World.remove(this.world, marble.body));
+    this.marbles = [];
+    (snapshot.marbles || []).forEach(state => {
+      const spawn = state.spawn || { x: state.x, y: state.y };
+      setBodyState(this.spawnMarble(spawn.x, spawn.y).body, state);
+    });
+
+    (snapshot.emotes || []).forEach(state => {
+      setBodyState(this.addEmote(state.url, state.name, state.x, state.y).body, state);
+    });
+  }
 
-    // Define beam polygon (trapezoid) under UFO
-    const beamRange = 120;
-    const beamWidth = 80;
+  // Bodies overlapping a player's beam (a trapezoid under the UFO, widening
+  // downwards) as [{ obj, distance }], distance from the UFO center
+  getObjectsInBeam(player) {
+    const { beamRange, beamWidth } = this.physics;
     const px = player.x;
     const py = player.y;
-
-    // Vertices of the beam polygon (trapezoid)
-    const beamPolygon = [
+    const beamVerts = [
       { x: px - beamWidth * 0.5, y: py + 18 }, // left top
       { x: px + beamWidth * 0.5, y: py + 18 }, // right top
       { x: px + beamWidth * 1.5, y: py + beamRange }, // right bottom
       { x: px - beamWidth * 1.5, y: py + beamRange }  // left bottom
     ];
 
-    // Create a Matter.Vertices object for the beam polygon
-    const MatterVertices = Matter.Vertices || require('matter-js').Vertices;
-    const beamVerts = beamPolygon.map(v => ({ x: v.x, y: v.y }));
-
-    // Find all objects whose body overlaps the beam polygon
+    // Marbles, emotes, movable level objects and other players can be beamed
     const otherPlayers = Array.from(this.players.values()).filter(p => p.id !== player.id);
     const candidates = [...this.marbles, ...this.emotes, ...this.levelObjects.filter(obj => !obj.isStatic), ...otherPlayers];
     const objectsInBeam = [];
 
     candidates.forEach(obj => {
-      // Use Matter.Query.region to check for overlap
-      // Get the object's bounds
-      const bounds = obj.body.bounds;
-      // Check if any of the object's vertices are inside the beam polygon
+      // Any vertex of the object inside the beam, or of the beam inside the object (full overlap)
       const objVerts = obj.body.vertices;
       const overlap = objVerts.some(v => Matter.Vertices.contains(beamVerts, v));
-      // Also check if any of the beam polygon's vertices are inside the object (for full overlap)
       const beamOverlap = beamVerts.some(v => Matter.Vertices.contains(objVerts, v));
       if (overlap || beamOverlap) {
-        // Use distance for force scaling
-        const objDx = obj.body.position.x - px;
-        const objDy = obj.body.position.y - py;
-        const objDistance = Math.sqrt(objDx * objDx + objDy * objDy);
-        objectsInBeam.push({
-          obj,
-          distance: objDistance
-        });
+        const dx = obj.body.position.x - px;
+        const dy = obj.body.position.y - py;
+        objectsInBeam.push({ obj, distance: Math.sqrt(dx * dx + dy * dy) });
       }
     });
 
-    // Apply forces to all objects in beam
+    return objectsInBeam;
+  }
+
+  // Lift the objects in a beam and pull them towards the UFO, weaker the further away they are
+  applyBeamForces(player, objectsInBeam, liftForce, attraction) {
     objectsInBeam.forEach(({ obj, distance }) => {
-      const forceMultiplier = Math.max(0.1, 1 - (distance / beamRange));
-      // Strong upward force
-      const upwardForce = -0.05 * forceMultiplier;
-      // Slight attraction towards UFO center
-      const attractionForce = {
-        x: (px - obj.body.position.x) * 0.002 * forceMultiplier,
-        y: upwardForce
-      };
-      Matter.Body.applyForce(obj.body, obj.body.position, attractionForce);
-      // Reduce gravity effect while in beam
+      const forceMultiplier = Math.max(0.1, 1 - (distance / this.physics.beamRange));
+      Matter.Body.applyForce(obj.body, obj.body.position, {
+        x: (player.x - obj.body.position.x) * attraction * forceMultiplier,
+        y: -liftForce * forceMultiplier
+      });
+      // Visual effect for objects in beam
       if (obj.body.render) {
         obj.body.render.strokeStyle = '#4ecdc4';
         obj.body.render.lineWidth = 2;
       }
     });
+  }
+
+  handleBeamInteraction(socketId, targetX, targetY) {
+    const player = this.players.get(socketId);
+    if (!player || !player.beamActive) return;
+
+    // Strong grab on interaction
+    const objectsInBeam = this.getObjectsInBeam(player);
+    this.applyBeamForces(player, objectsInBeam, this.physics.beamGrabForce, this.physics.beamGrabAttraction);
 
     if (objectsInBeam.length > 0) {
       player.beamTarget = objectsInBeam[0].obj.id;
     }
   }
 
-  // New method for continuous beam effects
+  // Continuous beam effects while the beam is held
   updateBeamEffects() {
-    const MatterVertices = Matter.Vertices || require('matter-js').Vertices;
     this.players.forEach(player => {
       if (player.beamActive) {
-        // Define beam polygon (trapezoid) under UFO
-        const beamRange = 120;
-        const beamWidth = 80;
-        const px = player.x;
-        const py = player.y;
-        const beamPolygon = [
-          { x: px - beamWidth * 0.5, y: py + 18 },
-          { x: px + beamWidth * 0.5, y: py + 18 },
-          { x: px + beamWidth * 1.5, y: py + beamRange },
-          { x: px - beamWidth * 1.5, y: py + beamRange }
-        ];
-        const beamVerts = beamPolygon.map(v => ({ x: v.x, y: v.y }));
-
-        // Include other players in beam candidates
-        const otherPlayers = Array.from(this.players.values()).filter(p => p.id !== player.id);
-        const candidates = [...this.marbles, ...this.emotes, ...this.levelObjects.filter(obj => !obj.isStatic), ...otherPlayers];
-        candidates.forEach(obj => {
-          const objVerts = obj.body.vertices;
-          const overlap = objVerts.some(v => Matter.Vertices.contains(beamVerts, v));
-          const beamOverlap = beamVerts.some(v => Matter.Vertices.contains(objVerts, v));
-          if (overlap || beamOverlap) {
-            const dx = obj.body.position.x - px;
-            const dy = obj.body.position.y - py;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            const forceMultiplier = Math.max(0.1, 1 - (distance / beamRange));
-            // Continuous upward force
-            const upwardForce = -0.02 * forceMultiplier;
-            // Attraction towards UFO center
-            const attractionForce = {
-              x: (px - obj.body.position.x) * 0.001 * forceMultiplier,
-              y: upwardForce
-            };
-            Matter.Body.applyForce(obj.body, obj.body.position, attractionForce);
-            // Visual effect for objects in beam
-            if (obj.body.render) {
-              obj.body.render.strokeStyle = '#4ecdc4';
-              obj.body.render.lineWidth = 2;
-            }
-          }
-        });
+        this.applyBeamForces(player, this.getObjectsInBeam(player), this.physics.beamForce, this.physics.beamAttraction);
       }
     });
   }
@@ -554,120 +791,162 @@ class GameLogic {
     return { win: false };
   }
 
+  completeLevel(nextLevel) {
+    this.setLevelState(LEVEL_STATES.COMPLETED);
+
+    // Award XP to all players
+    this.players.forEach(player => {
+      player.xp += COMPLETION_XP;
+      if (player.xp >= player.level * 1000) {
+        player.level++;
+        player.xp = 0;
+      }
+      this.emit('playerProgress', { player, xpGained: COMPLETION_XP });
+    });
+
+    this.emit('levelCompleted', {
+      nextLevel,
+      xpAwarded: COMPLETION_XP,
+      players: Array.from(this.players.values()).map(player => player.username)
+    });
+
+    this.pendingNextLevel = nextLevel;
+    this.intermissionEndTick = this.tick + Math.round(this.intermissionSeconds * TICKS_PER_SECOND);
+    this.lastCountdownSeconds = null;
+    this.setLevelState(LEVEL_STATES.INTERMISSION);
+  }
+
+  // Count the intermission down (one event per second), then ask for the
+  // next level. Without a nextLevel the listener replays the current one.
+  updateIntermission() {
+    const secondsRemaining = this.getIntermissionSecondsRemaining();
+    if (secondsRemaining > 0 && secondsRemaining !== this.lastCountdownSeconds) {
+      this.lastCountdownSeconds = secondsRemaining;
+      this.emit('intermission', { secondsRemaining, nextLevel: this.pendingNextLevel });
+    }
+
+    if (this.tick >= this.intermissionEndTick) {
+      const nextLevel = this.pendingNextLevel;
+      this.setLevelState(LEVEL_STATES.LOADING);
+      this.emit('loadNextLevel', nextLevel);
+    }
+  }
+
   updateGameState() {
-    // Apply player inputs first (like the reference game)
-    this.applyPlayerInputs();
-    
-    // Update continuous beam effects
-    this.updateBeamEffects();
-    
     // Update player positions from physics bodies
     this.players.forEach(player => {
       player.x = player.body.position.x;
       player.y = player.body.position.y;
     });
     
-    // Check win condition
-    const winResult = this.checkWinCondition();
-    if (winResult.win) {
-      // Award XP to all players
-      this.players.forEach(player => {
-        player.xp += 100;
-        if (player.xp >= player.level * 1000) {
-          player.level++;
-          player.xp = 0;
-        }
-      });
-
-      // If there's a next level to load, load it
-      if (winResult.nextLevel) {
-        // Use the socketHandlers to load the next level
-        // We'll emit an event that can be caught by the socket handlers
-        this.emit('loadNextLevel', winResult.nextLevel);
+    // Only a level in play can be won, completion is handled once
+    if (this.levelState === LEVEL_STATES.PLAYING) {
+      const winResult = this.checkWinCondition();
+      if (winResult.win) {
+        this.completeLevel(this.scheduledNextLevel || winResult.nextLevel || this.defaultNextLevel || null);
       }
+    } else if (this.levelState === LEVEL_STATES.INTERMISSION) {
+      this.updateIntermission();
     }
 
     // Handle teleporter collisions
     this.handleTeleporters();
 
-    // Remove objects that fell off the world (updated for 1920x1080 canvas)
-    const worldBounds = { minY: 1200 };// Check marbles that fell off the world and respawn them
-    this.marbles.forEach(marble => {
-      if (marble.body.position.y > worldBounds.minY) {
-        // Find spawnpoint
-        const spawnpoint = this.levelObjects.find(obj =>
-          obj.properties && obj.properties.includes('spawnpoint')
-        );
+    // Bodies that left the level's bounds
+    this.applyBounds();
+  }
 
-        if (spawnpoint) {
-          // Respawn marble at spawnpoint
-          Matter.Body.setPosition(marble.body, {
-            x: spawnpoint.x,
-            y: spawnpoint.y - 50
-          });
-          Matter.Body.setVelocity(marble.body, { x: 0, y: 0 });
-        }
+  // Apply the level's edge behaviors to every body outside its bounds (see
+  // LevelSchema.getBounds). UFOs are never destroyed and emotes never respawn:
+  // they are removed instead.
+  applyBounds() {
+    this.marbles = this.marbles.filter(marble => {
+      const behavior = this.crossBounds(marble.body);
+      if (behavior === 'destroy') {
+        Matter.World.remove(this.world, marble.body);
+        return false;
       }
+      if (behavior === 'respawn') {
+        this.resetBody(marble.body, marble.spawn);
+      }
+      return true;
     });
 
-    // Check movable level objects that fell off the world and respawn them
-    this.levelObjects.forEach(obj => {
-      if (!obj.isStatic && obj.body && obj.body.position.y > worldBounds.minY) {
-        // Find spawnpoint
-        const spawnpoint = this.levelObjects.find(sp =>
-          sp.properties && sp.properties.includes('spawnpoint')
-        );
-
-        if (spawnpoint) {
-          // Respawn object at spawnpoint
-          Matter.Body.setPosition(obj.body, {
-            x: spawnpoint.x,
-            y: spawnpoint.y - 50
-          });
-          Matter.Body.setVelocity(obj.body, { x: 0, y: 0 });
-        }
+    this.levelObjects.filter(obj => !obj.isStatic).forEach(obj => {
+      const behavior = this.crossBounds(obj.body);
+      if (behavior === 'destroy') {
+        this.removeLevelObject(obj);
+      } else if (behavior === 'respawn') {
+        this.resetBody(obj.body, obj, obj.rotation || 0);
       }
     });
 
     this.emotes = this.emotes.filter(emote => {
-      if (emote.body.position.y > worldBounds.minY) {
+      const behavior = this.crossBounds(emote.body);
+      if (behavior === 'destroy' || behavior === 'respawn') {
         Matter.World.remove(this.world, emote.body);
         return false;
       }
       return true;
     });
-    
-    // Remove players that fell off the world and respawn them
+
     this.players.forEach(player => {
-      if (player.body.position.y > worldBounds.minY) {
-        // Find respawn location - prioritize playerspawn, then fall back to spawnpoint
-        let respawnX = 400;
-        let respawnY = 200;
-
-        // First try playerspawn
-        let respawnLocation = this.levelObjects.find(obj =>
-          obj.properties && obj.properties.includes('playerspawn')
-        );
+      const behavior = this.crossBounds(player.body);
+      if (behavior === 'destroy' || behavior === 'respawn') {
+        this.teleportPlayerToSpawn(player.id);
+      } else if (behavior === 'wrap') {
+        player.x = player.body.position.x;
+        player.y = player.body.position.y;
+      }
+    });
+  }
 
-        // Fall back to spawnpoint if no playerspawn found
-        if (!respawnLocation) {
-          respawnLocation = this.levelObjects.find(obj =>
-            obj.properties && obj.properties.includes('spawnpoint')
-          );
-        }
+  // Behavior of the edge a body crossed, null while it is inside the bounds.
+  // Wrapping bodies are moved to the opposite edge here, keeping their velocity.
+  crossBounds(body) {
+    const bounds = this.bounds;
+    const { x, y } = body.position;
+
+    let edge = null;
+    if (y > bounds.bottom) edge = 'bottom';
+    else if (y < bounds.top) edge = 'top';
+    else if (x < bounds.left) edge = 'left';
+    else if (x > bounds.right) edge = 'right';
+    if (!edge) return null;
+
+    const behavior = bounds.edges[edge];
+    if (behavior === 'wrap') {
+      const width = bounds.right - bounds.left;
+      const height = bounds.bottom - bounds.top;
+      const offsets = {
+        left: { x: width, y: 0 },
+        right: { x: -width, y: 0 },
+        top: { x: 0, y: height },
+        bottom: { x: 0, y: -height }
+      };
+      Matter.Body.setPosition(body, { x: x + offsets[edge].x, y: y + offsets[edge].y });
+    }
+    return behavior;
+  }
 
-        if (respawnLocation) {
-          respawnX = respawnLocation.x;
-          respawnY = respawnLocation.y;
-        }
+  // Put a body back at a position at rest
+  resetBody(body, position, angle = body.angle) {
+    Matter.Body.setPosition(body, { x: position.x, y: position.y });
+    Matter.Body.setAngle(body, angle);
+    Matter.Body.setVelocity(body, { x: 0, y: 0 });
+    Matter.Body.setAngularVelocity(body, 0);
+  }
 
-        // Respawn UFO at spawn location or safe location
-        Matter.Body.setPosition(player.body, { x: respawnX, y: respawnY });
-        Matter.Body.setVelocity(player.body, { x: 0, y: 0 });
-        player.x = respawnX;
-        player.y = respawnY;
-      }
+  // Remove a level object and the connections attached to it
+  removeLevelObject(obj) {
+    this.constraints = this.constraints.filter(constraint => {
+      if (constraint.bodyA !== obj.id && constraint.bodyB !== obj.id) return true;
+      Matter.World.remove(this.world, constraint.constraint);
+      return false;
     });
+
+    Matter.World.remove(this.world, obj.body);
+    this.levelObjects = this.levelObjects.filter(other => other !== obj);
   }
 
   handleTeleporters() {
@@ -744,36 +1023,56 @@ class GameLogic {
     });
   }
 
+  serializePlayer(player) {
+    return {
+      id: player.id,
+      username: player.username,
+      userId: player.userId,
+      x: player.x,
+      y: player.y,
+      vx: player.body.velocity.x,
+      vy: player.body.velocity.y,
+      lastInputSeq: player.lastInputSeq,
+      beamActive: player.beamActive,
+      beamTarget: player.beamTarget,
+      xp: player.xp,
+      level: player.level
+    };
+  }
+
+  serializeMarble(marble) {
+    return {
+      id: marble.id,
+      x: marble.body.position.x,
+      y: marble.body.position.y,
+      angle: marble.body.angle,
+      type: marble.type
+    };
+  }
+
+  serializeEmote(emote) {
+    return {
+      id: emote.id,
+      x: emote.body.position.x,
+      y: emote.body.position.y,
+      angle: emote.body.angle,
+      type: emote.type,
+      name: emote.name,
+      url: emote.url
+    };
+  }
+
   getGameState() {
     return {
+      tick: this.tick,
+      serverTime: this.getServerTime(),
+      levelStatus: this.getLevelStatus(),
+      physics: this.getPredictionParams(),
       backgroundImage: (this.currentLevel && this.currentLevel.backgroundImage) ? this.currentLevel.backgroundImage : '',
-      players: Array.from(this.players.values()).map(player => ({
-        id: player.id,
-        username: player.username,
-        userId: player.userId,
-        x: player.x,
-        y: player.y,
-        beamActive: player.beamActive,
-        beamTarget: player.beamTarget,
-        xp: player.xp,
-        level: player.level
-      })),
-      marbles: this.marbles.map(marble => ({
-        id: marble.id,
-        x: marble.body.position.x,
-        y: marble.body.position.y,
-        angle: marble.body.angle,
-        type: marble.type
-      })),
-      emotes: this.emotes.map(emote => ({
-        id: emote.id,
-        x: emote.body.position.x,
-        y: emote.body.position.y,
-        angle: emote.body.angle,
-        type: emote.type,
-        name: emote.name,
-        url: emote.url
-      })),
+      world: this.worldSize,
+      players: Array.from(this.players.values()).map(player => this.serializePlayer(player)),
+      marbles: this.marbles.map(marble => this.serializeMarble(marble)),
+      emotes: this.emotes.map(emote => this.serializeEmote(emote)),
       levelObjects: this.levelObjects.map(obj => ({
         id: obj.id,
         x: obj.body ? obj.body.position.x : obj.x,
@@ -804,6 +1103,27 @@ class GameLogic {
       }))
     };
   }
+
+  // Only the bodies that can move; static geometry is sent with the full game state
+  getDynamicState() {
+    return {
+      tick: this.tick,
+      serverTime: this.getServerTime(),
+      players: Array.from(this.players.values()).map(player => this.serializePlayer(player)),
+      marbles: this.marbles.map(marble => this.serializeMarble(marble)),
+      emotes: this.emotes.map(emote => this.serializeEmote(emote)),
+      levelObjects: this.levelObjects
+        .filter(obj => !obj.isStatic && obj.body)
+        .map(obj => ({
+          id: obj.id,
+          x: obj.body.position.x,
+          y: obj.body.position.y,
+          angle: obj.body.angle
+        }))
+    };
+  }
 }
 
+GameLogic.LEVEL_STATES = LEVEL_STATES;
+
 module.exports = GameLogic;
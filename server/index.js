@@ -19,31 +19,121 @@ const io = socketIo(server, {
 app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../client')));
+// Modules shared between the server and the browser
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
 
 // Import game modules
-const GameLogic = require('./gameLogic');
-const TwitchChat = require('./twitchChat');
+const RoomManager = require('./roomManager');
+const ProfileStore = require('./profileStore');
+const RoleStore = require('./roleStore');
+const BanStore = require('./banStore');
+const PhysicsPresetStore = require('./physicsPresetStore');
+const { DEFAULT_PHYSICS, PHYSICS_PARAMETERS, validatePhysicsConfig } = require('./physicsConfig');
+const LevelRepository = require('./levelRepository');
+const { createLevelStorage } = require('./levelStorage');
+const CampaignStore = require('./campaignStore');
+const AssetStore = require('./assetStore');
+const { LevelBundleError, exportBundle, importBundle } = require('./levelBundle');
+const RotationScheduler = require('./rotationScheduler');
+const { diffLevels } = require('./levelDiff');
+const { collectMetrics } = require('./metrics');
+const { writeSnapshot, readSnapshot, removeSnapshot } = require('./worldSnapshot');
+const {
+  getRequestSession, getHandshakeSession, setSessionCookie, clearSessionCookie, createOAuthState, verifyOAuthState
+} = require('./sessions');
 const { setupSocketHandlers } = require('./socketHandlers');
 
- // Initialize game logic
-const gameLogic = new GameLogic();
-
- // Load default level at server start
-const fs = require('fs');
-const defaultLevelPath = path.join(__dirname, '../levels/level1.json');
-if (fs.existsSync(defaultLevelPath)) {
-  const levelData = JSON.parse(fs.readFileSync(defaultLevelPath, 'utf8'));
-  gameLogic.loadLevel(levelData);
-  console.log('Default level loaded at server start.');
-} else {
-  console.error('Default level file not found!');
-}
+// Runtime data (profiles etc.) lives outside the repository's tracked files
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+
+// Initialize levels, rooms, persistent player profiles, role assignments, bans
+// and physics presets
+const levelRepository = new LevelRepository(createLevelStorage({
+  type: process.env.LEVEL_STORAGE || 'fs',
+  levelsDir: path.join(__dirname, '../levels'),
+  dbPath: process.env.LEVEL_DB_PATH || path.join(dataDir, 'levels.db')
+}));
+const assetStore = new AssetStore(process.env.ASSETS_DIR || path.join(dataDir, 'assets'));
+const campaignStore = new CampaignStore(path.join(dataDir, 'campaigns'), { levelRepository });
+const roomManager = new RoomManager({ levelRepository });
+const rotationScheduler = new RotationScheduler(path.join(dataDir, 'rotation.json'), { roomManager, levelRepository });
+const profileStore = new ProfileStore(path.join(dataDir, 'profiles.json'));
+const roleStore = new RoleStore(path.join(dataDir, 'roles.json'), {
+  streamerChannel: process.env.TWITCH_CHANNEL,
+  devMode: process.env.DEV_MODE === 'true'
+});
+const banStore = new BanStore(path.join(dataDir, 'bans.json'));
+const physicsPresetStore = new PhysicsPresetStore(path.join(dataDir, 'physics-presets.json'));
+
+// Level images, named by content hash so they can be cached forever
+app.use('/assets', express.static(assetStore.assetsDir, { immutable: true, maxAge: '365d' }));
 
-// Initialize Twitch chat integration
-const twitchChat = new TwitchChat(gameLogic);
+// Verify the session of every connecting socket. Connections without one are
+// still accepted (overlay, spectators) but cannot log in as a player.
+io.use((socket, next) => {
+  socket.data.session = getHandshakeSession(socket.handshake);
+  next();
+});
 
 // Setup Socket.io handlers
-setupSocketHandlers(io, gameLogic);
+const socketApi = setupSocketHandlers(io, roomManager, profileStore, roleStore, rotationScheduler, banStore);
+
+// Seconds between completing a level and loading the next one
+const intermissionSeconds = process.env.INTERMISSION_SECONDS
+  ? parseInt(process.env.INTERMISSION_SECONDS)
+  : undefined;
+
+// Level of the default room at server start and of new rooms
+const DEFAULT_LEVEL = process.env.DEFAULT_LEVEL || 'level1';
+
+// World snapshot written on shutdown, restored at the next start when it is
+// at most SNAPSHOT_MAX_AGE_SECONDS old
+const snapshotPath = path.join(dataDir, 'snapshot.json');
+const snapshotMaxAgeSeconds = process.env.SNAPSHOT_MAX_AGE_SECONDS
+  ? parseInt(process.env.SNAPSHOT_MAX_AGE_SECONDS)
+  : 300;
+
+// Create the default room, bound to the configured Twitch channel. Restore
+// the rooms of a recent snapshot, or load the default level.
+
+const defaultRoom = roomManager.createRoom(RoomManager.DEFAULT_ROOM_ID, {
+  twitchChannel: process.env.TWITCH_CHANNEL,
+  intermissionSeconds
+});
+
+const snapshot = readSnapshot(snapshotPath, snapshotMaxAgeSeconds * 1000);
+if (snapshot) {
+  snapshot.rooms.forEach(roomSnapshot => {
+    let room = roomManager.getRoom(roomSnapshot.id);
+    if (!room) {
+      if (!RoomManager.isValidRoomId(roomSnapshot.id)) return;
+      room = roomManager.createRoom(roomSnapshot.id, {
+        twitchChannel: roomSnapshot.twitchChannel,
+        intermissionSeconds
+      });
+    }
+
+    if (room.restoreSnapshot(roomSnapshot)) {
+      console.log(`Room ${room.id} restored from snapshot: ${roomSnapshot.levelName}`);
+    }
+  });
+  removeSnapshot(snapshotPath);
+}
+
+if (!defaultRoom.currentLevelName) {
+  if (defaultRoom.loadLevel(DEFAULT_LEVEL)) {
+    console.log(`Default level ${DEFAULT_LEVEL} loaded at server start.`);
+  } else {
+    console.error(`Default level ${DEFAULT_LEVEL} not found!`);
+  }
+}
+roomManager.rooms.forEach(room => rotationScheduler.levelLoaded(room));
+rotationScheduler.start();
+
+// Resolve the room a request targets (?room=<id>, defaults to the main room)
+function getRequestRoom(req) {
+  return roomManager.getRoom(req.query.room || RoomManager.DEFAULT_ROOM_ID);
+}
 
 // Routes
 app.get('/', (req, res) => {
@@ -54,6 +144,13 @@ app.get('/editor', (req, res) => {
   res.sendFile(path.join(__dirname, '../client/editor.html'));
 });
 
+// Server health for Prometheus: tick durations, bodies, sockets, broadcasts,
+// Twitch messages and emotes
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4');
+  res.send(collectMetrics({ roomManager, io, getBroadcastStats: socketApi.getBroadcastStats }));
+});
+
 // Client config endpoint (safe, no secrets)
 app.get('/api/client-config', (req, res) => {
   res.json({
@@ -82,11 +179,31 @@ app.post('/api/dev-login', (req, res) => {
   
   // Generate a unique dev user ID
   const userId = 'dev_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-  
-  res.json({
-    username: username.trim(),
-    userId: userId
-  });
+  const session = { username: username.trim(), userId };
+  setSessionCookie(res, session);
+
+  res.json(session);
+});
+
+// Identity of the current session (set by Twitch OAuth or dev login)
+app.get('/api/session', (req, res) => {
+  const session = getRequestSession(req);
+
+  if (session) {
+    res.json({
+      username: session.username,
+      userId: session.userId,
+      role: roleStore.getRole(session),
+      permissions: roleStore.getPermissions(session)
+    });
+  } else {
+    res.status(401).json({ error: 'Not logged in' });
+  }
+});
+
+app.post('/api/logout', (req, res) => {
+  clearSessionCookie(res);
+  res.json({ success: true });
 });
 
 // Twitch OAuth routes
@@ -94,15 +211,27 @@ app.get('/auth/twitch', (req, res) => {
   const clientId = process.env.TWITCH_CLIENT_ID;
   const redirectUri = process.env.TWITCH_REDIRECT_URI;
   const scope = 'user:read:email';
+  // Carry the room the player wants to join through the OAuth round trip,
+  // next to the nonce the callback checks
+  const roomId = RoomManager.isValidRoomId(req.query.room) ? req.query.room : RoomManager.DEFAULT_ROOM_ID;
+  const state = createOAuthState(res, roomId);
   
-  const authUrl = `https://id.twitch.tv/oauth2/authorize?client_id=${clientId}&redirect_uri=${redirectUri}&response_type=code&scope=${scope}`;
+  const authUrl = `https://id.twitch.tv/oauth2/authorize?client_id=${clientId}&redirect_uri=${redirectUri}&response_type=code&scope=${scope}&state=${state}`;
   res.redirect(authUrl);
 });
 
 app.get('/auth/twitch/callback', async (req, res) => {
-  const { code } = req.query;
+  const { code, state } = req.query;
   const basePath = process.env.BASE_PATH || '';
 
+  // Only finish logins this browser started
+  const stateRoomId = verifyOAuthState(req, res, state);
+  if (stateRoomId === null) {
+    console.error('Twitch OAuth callback with a missing or mismatched state');
+    return res.redirect(`${basePath}/?error=auth_failed`);
+  }
+  const roomId = RoomManager.isValidRoomId(stateRoomId) ? stateRoomId : RoomManager.DEFAULT_ROOM_ID;
+
   try {
     const tokenResponse = await axios.post('https://id.twitch.tv/oauth2/token', {
       client_id: process.env.TWITCH_CLIENT_ID,
@@ -124,67 +253,229 @@ app.get('/auth/twitch/callback', async (req, res) => {
 
     const user = userResponse.data.data[0];
 
-    // Redirect back to game with user info (using base path)
-    res.redirect(`${basePath}/?username=${user.display_name}&userId=${user.id}`);
+    // Store the identity in a signed session cookie and go back to the game
+    setSessionCookie(res, { username: user.display_name, userId: user.id });
+    res.redirect(`${basePath}/?login=twitch&room=${roomId}`);
   } catch (error) {
     console.error('Twitch OAuth error:', error);
     res.redirect(`${basePath}/?error=auth_failed`);
   }
 });
 
+// Name recorded as the author of level changes
+function getRequestAuthor(req) {
+  const session = getRequestSession(req);
+  return session ? session.username : 'admin';
+}
+
+// Answer with the status of a LevelRepositoryError (bad name, not found,
+// invalid level) or LevelBundleError (unreadable bundle)
+function sendLevelError(res, error) {
+  if (error instanceof LevelRepository.LevelRepositoryError || error instanceof LevelBundleError) {
+    res.status(error.status).json({ error: error.message, errors: error.details });
+  } else {
+    console.error('Level request failed:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+function sendCampaignError(res, error) {
+  if (error instanceof CampaignStore.CampaignStoreError) {
+    res.status(error.status).json({ error: error.message, errors: error.details });
+  } else {
+    console.error('Campaign request failed:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
 // API endpoints
+// ?q=<text> only lists levels whose name or description contains the text
 app.get('/api/levels', (req, res) => {
-  const fs = require('fs');
-  const levelsDir = path.join(__dirname, '../levels');
-  
-  if (!fs.existsSync(levelsDir)) {
-    fs.mkdirSync(levelsDir, { recursive: true });
-  }
-  
-  const levels = fs.readdirSync(levelsDir)
-    .filter(file => file.endsWith('.json'))
-    .map(file => file.replace('.json', ''));
-  
-  res.json(levels);
+  res.json(req.query.q ? levelRepository.search(req.query.q) : levelRepository.list());
 });
 
 app.get('/api/levels/:levelName', (req, res) => {
-  const fs = require('fs');
-  const levelPath = path.join(__dirname, '../levels', `${req.params.levelName}.json`);
+  // Served upgraded but unvalidated, so broken levels can still be fixed in the editor
+  try {
+    res.json(levelRepository.readForEditing(req.params.levelName));
+  } catch (error) {
+    sendLevelError(res, error);
+  }
+});
 
-  if (fs.existsSync(levelPath)) {
-    const levelData = JSON.parse(fs.readFileSync(levelPath, 'utf8'));
-    res.json(levelData);
+// Player profiles
+app.get('/api/profiles/:userId', (req, res) => {
+  const profile = profileStore.getProfile(req.params.userId);
+
+  if (profile) {
+    res.json({
+      userId: profile.userId,
+      username: profile.username,
+      xp: profile.xp,
+      level: profile.level,
+      stats: profile.stats,
+      createdAt: profile.createdAt,
+      lastSeen: profile.lastSeen
+    });
   } else {
-    res.status(404).json({ error: 'Level not found' });
+    res.status(404).json({ error: 'Profile not found' });
   }
 });
 
 app.get('/api/current-level', (req, res) => {
-  if (gameLogic.currentLevel && gameLogic.currentLevel.name) {
-    res.json({ levelName: gameLogic.currentLevel.name });
+  const room = getRequestRoom(req);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  if (room.currentLevelName) {
+    res.json({ levelName: room.currentLevelName, roomId: room.id });
   } else {
     res.status(404).json({ error: 'No level currently loaded' });
   }
 });
 
-app.post('/api/levels/:levelName', (req, res) => {
-  const fs = require('fs');
-  const levelsDir = path.join(__dirname, '../levels');
-  const levelPath = path.join(levelsDir, `${req.params.levelName}.json`);
-  
-  if (!fs.existsSync(levelsDir)) {
-    fs.mkdirSync(levelsDir, { recursive: true });
+// Save a level, ?message=<text> describes the change in the revision history
+app.post('/api/levels/:levelName', requirePermission('saveLevel'), (req, res) => {
+  try {
+    levelRepository.save(req.params.levelName, req.body, {
+      author: getRequestAuthor(req),
+      message: req.query.message || ''
+    });
+    res.json({ success: true });
+  } catch (error) {
+    sendLevelError(res, error);
   }
-  
+});
+
+// Level revision history
+app.get('/api/levels/:levelName/revisions', requirePermission('saveLevel'), (req, res) => {
+  try {
+    res.json(levelRepository.listRevisions(req.params.levelName));
+  } catch (error) {
+    sendLevelError(res, error);
+  }
+});
+
+app.get('/api/levels/:levelName/revisions/:revisionId', requirePermission('saveLevel'), (req, res) => {
+  try {
+    res.json(levelRepository.getRevision(req.params.levelName, req.params.revisionId));
+  } catch (error) {
+    sendLevelError(res, error);
+  }
+});
+
+// Compare two revisions: ?from=<id>&to=<id> (to defaults to the current level)
+app.get('/api/levels/:levelName/diff', requirePermission('saveLevel'), (req, res) => {
+  const { levelName } = req.params;
+
+  try {
+    const from = levelRepository.getRevision(levelName, req.query.from).level;
+    const to = req.query.to && req.query.to !== 'current'
+      ? levelRepository.getRevision(levelName, req.query.to).level
+      : levelRepository.readForEditing(levelName);
+    res.json(diffLevels(from, to));
+  } catch (error) {
+    sendLevelError(res, error);
+  }
+});
+
+app.post('/api/levels/:levelName/revisions/:revisionId/restore', requirePermission('saveLevel'), (req, res) => {
   try {
-    fs.writeFileSync(levelPath, JSON.stringify(req.body, null, 2));
+    levelRepository.restore(req.params.levelName, req.params.revisionId, {
+      author: getRequestAuthor(req),
+      message: req.body && req.body.message
+    });
     res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to save level' });
+    sendLevelError(res, error);
   }
 });
 
+// Level bundles: a zip of the level and the images it references
+app.get('/api/levels/:levelName/bundle', requirePermission('saveLevel'), (req, res) => {
+  const { levelName } = req.params;
+
+  try {
+    const level = levelRepository.readForEditing(levelName);
+    const { buffer, missing } = exportBundle(levelName, level, {
+      assetStore,
+      clientDir: path.join(__dirname, '../client')
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${levelName}.zip"`);
+    res.setHeader('X-Missing-Assets', String(missing.length));
+    res.send(buffer);
+  } catch (error) {
+    sendLevelError(res, error);
+  }
+});
+
+// Import a bundle (zip request body) as :levelName. Existing levels are only
+// replaced with ?overwrite=true.
+app.post('/api/levels/:levelName/bundle', requirePermission('saveLevel'),
+  express.raw({ type: ['application/zip', 'application/octet-stream'], limit: '50mb' }), (req, res) => {
+    const { levelName } = req.params;
+
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        throw new LevelBundleError('Send the bundle as an application/zip request body', 400);
+      }
+      if (levelRepository.exists(levelName) && req.query.overwrite !== 'true') {
+        throw new LevelBundleError(`Level "${levelName}" already exists`, 409);
+      }
+
+      const bundle = importBundle(req.body, { assetStore });
+      const level = levelRepository.save(levelName, { ...bundle.level, name: levelName }, {
+        author: getRequestAuthor(req),
+        message: req.query.message || `Imported from bundle ${bundle.levelName || ''}`.trim(),
+        action: 'import'
+      });
+
+      res.json({ success: true, levelName, assetCount: bundle.assetCount, level });
+    } catch (error) {
+      sendLevelError(res, error);
+    }
+  });
+
+// Asset library: images for level and object backgrounds, served at /assets
+app.get('/api/assets', requirePermission('saveLevel'), (req, res) => {
+  res.json(assetStore.list());
+});
+
+// Upload an image (raw request body), ?name=<file name> is kept for the
+// library. Identical images are stored once.
+app.post('/api/assets', requirePermission('saveLevel'),
+  express.raw({ type: ['image/*', 'application/octet-stream'], limit: AssetStore.MAX_ASSET_BYTES }), (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Send the image as the request body' });
+    }
+
+    try {
+      const asset = assetStore.save(req.body, {
+        originalName: typeof req.query.name === 'string' ? req.query.name.slice(0, 200) : null,
+        uploadedBy: getRequestAuthor(req)
+      });
+      res.status(asset.existed ? 200 : 201).json(asset);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+// Campaigns
+app.get('/api/campaigns', (req, res) => {
+  res.json(campaignStore.list());
+});
+
+app.get('/api/campaigns/:campaignId', (req, res) => {
+  const campaign = campaignStore.get(req.params.campaignId);
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  res.json(campaign);
+});
+
 // Basic Auth middleware for admin routes
 function basicAuth(req, res, next) {
   const authHeader = req.headers.authorization;
@@ -206,54 +497,69 @@ function basicAuth(req, res, next) {
   next();
 }
 
+// Allow requests from a session whose role grants the permission; anything
+// else falls back to the admin's basic auth credentials, so the browser still
+// prompts for them when a player session without the permission is present
+function requirePermission(permission) {
+  return (req, res, next) => {
+    const session = getRequestSession(req);
+
+    if (session && roleStore.hasPermission(session, permission)) {
+      return next();
+    }
+
+    basicAuth(req, res, next);
+  };
+}
+
 // Admin routes
-app.get('/admin', basicAuth, (req, res) => {
+app.get('/admin', requirePermission('admin'), (req, res) => {
   res.sendFile(path.join(__dirname, '../client/admin.html'));
 });
 
 // Admin API routes
-app.get('/api/admin/levels', basicAuth, (req, res) => {
-  const fs = require('fs');
-  const levelsDir = path.join(__dirname, '../levels');
-
-  if (!fs.existsSync(levelsDir)) {
-    fs.mkdirSync(levelsDir, { recursive: true });
-  }
-
-  const levels = fs.readdirSync(levelsDir)
-    .filter(file => file.endsWith('.json'))
-    .map(file => {
-      const levelName = file.replace('.json', '');
-      const levelPath = path.join(levelsDir, file);
-      const stats = fs.statSync(levelPath);
-      return {
-        name: levelName,
-        modified: stats.mtime,
-        size: stats.size
-      };
-    });
+app.get('/api/admin/levels', requirePermission('admin'), (req, res) => {
+  res.json(levelRepository.listDetailed());
+});
 
-  res.json(levels);
+// Deleted levels that can be restored from their history
+app.get('/api/admin/levels/deleted', requirePermission('admin'), (req, res) => {
+  res.json(levelRepository.listDeleted());
 });
 
-app.delete('/api/admin/levels/:levelName', basicAuth, (req, res) => {
-  const fs = require('fs');
-  const levelPath = path.join(__dirname, '../levels', `${req.params.levelName}.json`);
+app.delete('/api/admin/levels/:levelName', requirePermission('admin'), (req, res) => {
+  try {
+    levelRepository.delete(req.params.levelName, { author: getRequestAuthor(req) });
+    res.json({ success: true });
+  } catch (error) {
+    sendLevelError(res, error);
+  }
+});
+
+// Create or replace a campaign { title, description, levels, loop, shuffle }
+app.put('/api/admin/campaigns/:campaignId', requirePermission('admin'), (req, res) => {
+  try {
+    res.json(campaignStore.save(req.params.campaignId, req.body));
+  } catch (error) {
+    sendCampaignError(res, error);
+  }
+});
 
-  if (fs.existsSync(levelPath)) {
-    fs.unlinkSync(levelPath);
+app.delete('/api/admin/campaigns/:campaignId', requirePermission('admin'), (req, res) => {
+  try {
+    campaignStore.delete(req.params.campaignId);
     res.json({ success: true });
-  } else {
-    res.status(404).json({ error: 'Level not found' });
+  } catch (error) {
+    sendCampaignError(res, error);
   }
 });
 
 // Admin Twitch configuration endpoints
-app.get('/api/admin/config/twitch-channel', basicAuth, (req, res) => {
+app.get('/api/admin/config/twitch-channel', requirePermission('admin'), (req, res) => {
   res.json({ channel: process.env.TWITCH_CHANNEL || '' });
 });
 
-app.put('/api/admin/config/twitch-channel', basicAuth, (req, res) => {
+app.put('/api/admin/config/twitch-channel', requirePermission('admin'), (req, res) => {
   const fs = require('fs');
   const { channel } = req.body;
 
@@ -282,9 +588,10 @@ app.put('/api/admin/config/twitch-channel', basicAuth, (req, res) => {
 
     fs.writeFileSync(envPath, envContent);
 
-    // Update runtime environment and reconnect
+    // Update runtime environment and reconnect the default room's chat
     process.env.TWITCH_CHANNEL = newChannel;
-    twitchChat.reconnect(newChannel);
+    roomManager.getDefaultRoom().setTwitchChannel(newChannel);
+    roleStore.setStreamerChannel(newChannel);
 
     res.json({ success: true, channel: newChannel });
   } catch (error) {
@@ -293,6 +600,306 @@ app.put('/api/admin/config/twitch-channel', basicAuth, (req, res) => {
   }
 });
 
+// Admin room management
+app.get('/api/admin/rooms', requirePermission('admin'), (req, res) => {
+  res.json(roomManager.listRooms());
+});
+
+app.post('/api/admin/rooms', requirePermission('admin'), (req, res) => {
+  const { roomId, twitchChannel, levelName } = req.body;
+
+  if (!RoomManager.isValidRoomId(roomId)) {
+    return res.status(400).json({ error: 'Room id must be 1-32 characters of a-z, 0-9, _ or -' });
+  }
+  if (roomManager.getRoom(roomId)) {
+    return res.status(409).json({ error: 'Room already exists' });
+  }
+
+  const room = roomManager.createRoom(roomId, {
+    twitchChannel: twitchChannel ? twitchChannel.toLowerCase().trim() : null,
+    levelName: levelName || DEFAULT_LEVEL,
+    intermissionSeconds
+  });
+  rotationScheduler.levelLoaded(room);
+  res.json(room.getSummary());
+});
+
+app.put('/api/admin/rooms/:roomId/twitch-channel', requirePermission('admin'), (req, res) => {
+  const room = roomManager.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  const { channel } = req.body;
+  if (!channel || typeof channel !== 'string' || !channel.trim()) {
+    return res.status(400).json({ error: 'Channel name is required' });
+  }
+
+  room.setTwitchChannel(channel.toLowerCase().trim());
+  res.json(room.getSummary());
+});
+
+app.post('/api/admin/rooms/:roomId/level', requirePermission('admin'), (req, res) => {
+  const room = roomManager.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  const { levelName } = req.body;
+  if (!levelName || !socketApi.loadRoomLevel(room, levelName)) {
+    return res.status(404).json({ error: 'Level not found' });
+  }
+
+  // Picking a level by hand ends a running campaign
+  socketApi.stopCampaign(room);
+  res.json(room.getSummary());
+});
+
+// Automatic level rotation settings of a room
+app.get('/api/admin/rooms/:roomId/rotation', requirePermission('admin'), (req, res) => {
+  const room = roomManager.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  res.json({ ...rotationScheduler.getConfig(room.id), nextLevel: room.gameLogic.defaultNextLevel });
+});
+
+app.put('/api/admin/rooms/:roomId/rotation', requirePermission('admin'), (req, res) => {
+  const room = roomManager.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  const errors = rotationScheduler.validateConfig(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid rotation settings', errors });
+  }
+
+  const config = rotationScheduler.setConfig(room.id, req.body);
+  res.json({ ...config, nextLevel: room.gameLogic.defaultNextLevel });
+});
+
+// Play a campaign { campaignId } in a room, replacing its current level
+app.post('/api/admin/rooms/:roomId/campaign', requirePermission('admin'), (req, res) => {
+  const room = roomManager.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  const campaign = campaignStore.get(req.body && req.body.campaignId);
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+
+  if (!socketApi.playCampaign(room, campaign)) {
+    return res.status(422).json({ error: 'None of the campaign levels could be loaded' });
+  }
+
+  res.json(room.getSummary());
+});
+
+// Stop a room's campaign, the current level keeps playing
+app.delete('/api/admin/rooms/:roomId/campaign', requirePermission('admin'), (req, res) => {
+  const room = roomManager.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  socketApi.stopCampaign(room);
+  res.json(room.getSummary());
+});
+
+// Physics tuning: the settings of a room's running game, changed live
+app.get('/api/admin/rooms/:roomId/physics', requirePermission('admin'), (req, res) => {
+  const room = roomManager.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  res.json(room.gameLogic.physics);
+});
+
+// Change some or all settings { gravity, ufoForce, ... }
+app.put('/api/admin/rooms/:roomId/physics', requirePermission('admin'), (req, res) => {
+  const room = roomManager.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  const errors = validatePhysicsConfig(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid physics settings', errors });
+  }
+
+  res.json(room.gameLogic.setPhysics(req.body));
+});
+
+// Live player management
+app.get('/api/admin/rooms/:roomId/players', requirePermission('admin'), (req, res) => {
+  const room = roomManager.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  res.json(room.listPlayers());
+});
+
+// Disconnect a player { reason }
+app.post('/api/admin/rooms/:roomId/players/:playerId/kick', requirePermission('admin'), (req, res) => {
+  const room = roomManager.getRoom(req.params.roomId);
+  if (!room || !room.gameLogic.players.has(req.params.playerId)) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+
+  const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  socketApi.kickPlayer(req.params.playerId, { reason });
+  res.json({ success: true });
+});
+
+// Move a player's UFO back to the spawn location
+app.post('/api/admin/rooms/:roomId/players/:playerId/teleport', requirePermission('admin'), (req, res) => {
+  const room = roomManager.getRoom(req.params.roomId);
+  if (!room || !room.gameLogic.teleportPlayerToSpawn(req.params.playerId)) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+
+  res.json({ success: true });
+});
+
+// Put stuck marbles back at their spawnpoints
+app.post('/api/admin/rooms/:roomId/marbles/reset', requirePermission('admin'), (req, res) => {
+  const room = roomManager.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  res.json({ success: true, count: room.gameLogic.resetMarbles() });
+});
+
+app.delete('/api/admin/rooms/:roomId', requirePermission('admin'), (req, res) => {
+  if (req.params.roomId === RoomManager.DEFAULT_ROOM_ID) {
+    return res.status(400).json({ error: 'The default room cannot be removed' });
+  }
+
+  if (roomManager.removeRoom(req.params.roomId)) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'Room not found' });
+  }
+});
+
+// Admin role management
+app.get('/api/admin/roles', requirePermission('admin'), (req, res) => {
+  res.json({
+    roles: RoleStore.ROLES,
+    permissions: RoleStore.PERMISSIONS,
+    assignments: roleStore.listAssignments()
+  });
+});
+
+app.put('/api/admin/roles/:userId', requirePermission('admin'), (req, res) => {
+  const { role, username } = req.body;
+
+  if (!RoleStore.isValidRole(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${RoleStore.ROLES.join(', ')}` });
+  }
+
+  // Fill in the username from the player's profile when it is known
+  const profile = profileStore.getProfile(req.params.userId);
+  const name = username || (profile && profile.username) || null;
+
+  res.json(roleStore.assignRole(req.params.userId, role, name));
+});
+
+app.delete('/api/admin/roles/:userId', requirePermission('admin'), (req, res) => {
+  if (roleStore.removeRole(req.params.userId)) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'No role assigned' });
+  }
+});
+
+// Physics settings with their ranges, defaults and the saved presets
+app.get('/api/admin/physics', requirePermission('admin'), (req, res) => {
+  res.json({
+    parameters: PHYSICS_PARAMETERS,
+    defaults: DEFAULT_PHYSICS,
+    presets: physicsPresetStore.list()
+  });
+});
+
+// Save settings { physics } as a named preset
+app.put('/api/admin/physics/presets/:name', requirePermission('admin'), (req, res) => {
+  const { name } = req.params;
+  const physics = req.body && req.body.physics;
+
+  if (!PhysicsPresetStore.isValidName(name)) {
+    return res.status(400).json({ error: 'Preset names may only contain letters, numbers, spaces, _ and - (max 64)' });
+  }
+
+  const errors = validatePhysicsConfig(physics);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid physics settings', errors });
+  }
+
+  res.json(physicsPresetStore.savePreset(name, physics));
+});
+
+app.delete('/api/admin/physics/presets/:name', requirePermission('admin'), (req, res) => {
+  if (physicsPresetStore.deletePreset(req.params.name)) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'Preset not found' });
+  }
+});
+
+// Temporary bans by userId
+app.get('/api/admin/bans', requirePermission('admin'), (req, res) => {
+  res.json(banStore.list());
+});
+
+// Ban a user { minutes, reason, username } and disconnect them everywhere
+app.put('/api/admin/bans/:userId', requirePermission('admin'), (req, res) => {
+  const { minutes, reason, username } = req.body || {};
+
+  if (!BanStore.isValidDuration(minutes)) {
+    return res.status(400).json({ error: `Ban duration must be 1-${BanStore.MAX_BAN_MINUTES} minutes` });
+  }
+
+  // Fill in the username from the player's profile when it is known
+  const profile = profileStore.getProfile(req.params.userId);
+  const ban = banStore.ban(req.params.userId, {
+    minutes,
+    reason: typeof reason === 'string' ? reason.trim() : '',
+    username: username || (profile && profile.username) || null,
+    bannedBy: getRequestAuthor(req)
+  });
+  const kicked = socketApi.kickUser(ban.userId, { reason: ban.reason, expiresAt: ban.expiresAt });
+
+  res.json({ ...ban, kicked });
+});
+
+app.delete('/api/admin/bans/:userId', requirePermission('admin'), (req, res) => {
+  if (banStore.unban(req.params.userId)) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'No ban for this user' });
+  }
+});
+
+// Malformed JSON request bodies (e.g. a broken level upload) and oversized
+// uploads get a JSON error
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large' });
+  }
+  next(err);
+});
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
@@ -300,3 +907,29 @@ server.listen(PORT, () => {
   console.log(`Level Editor: http://localhost:${PORT}/editor`);
   console.log(`Admin Panel: http://localhost:${PORT}/admin`);
 });
+
+// Graceful shutdown: stop the simulation, tell clients, save player progress
+// and a snapshot of the world, then close the server
+const SHUTDOWN_TIMEOUT = 5000;
+let shuttingDown = false;
+
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down...`);
+
+  rotationScheduler.stop();
+  roomManager.rooms.forEach(room => room.gameLogic.stop());
+  writeSnapshot(snapshotPath, roomManager);
+
+  socketApi.shutdown();
+  roomManager.rooms.forEach(room => room.destroy());
+  profileStore.save();
+
+  // Exit even if connections do not close in time
+  setTimeout(() => process.exit(0), SHUTDOWN_TIMEOUT).unref();
+  io.close(() => process.exit(0));
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
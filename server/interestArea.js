@@ -0,0 +1,36 @@
+// Interest management: each client only receives the dynamic bodies near its
+// camera. Clients report the world rectangle they show with the 'viewport'
+// event; sockets without a viewport (the stream overlay, older clients)
+// receive every body.
+
+// Bodies this far outside the viewport are still sent, so they are known
+// before they scroll into view (positions are body centers)
+const INTEREST_MARGIN = 300;
+const MAX_VIEWPORT_SIZE = 40000;
+
+// Viewport { x, y, width, height } in world coordinates
+function isValidViewport(viewport) {
+  if (viewport === null || typeof viewport !== 'object') return false;
+
+  const { x, y, width, height } = viewport;
+  return [x, y, width, height].every(Number.isFinite) &&
+    width > 0 && height > 0 && width <= MAX_VIEWPORT_SIZE && height <= MAX_VIEWPORT_SIZE;
+}
+
+// visible(collection, record) for DeltaTracker.next: bodies within the
+// viewport plus margin, and always the receiver's own UFO
+function createInterestFilter(viewport, ownPlayerId) {
+  if (!viewport) return () => true;
+
+  const left = viewport.x - INTEREST_MARGIN;
+  const top = viewport.y - INTEREST_MARGIN;
+  const right = viewport.x + viewport.width + INTEREST_MARGIN;
+  const bottom = viewport.y + viewport.height + INTEREST_MARGIN;
+
+  return (collection, record) => {
+    if (collection === 'players' && record.id === ownPlayerId) return true;
+    return record.x >= left && record.x <= right && record.y >= top && record.y <= bottom;
+  };
+}
+
+module.exports = { INTEREST_MARGIN, isValidViewport, createInterestFilter };
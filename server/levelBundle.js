@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const LevelSchema = require('../shared/levelSchema');
+const AssetStore = require('./assetStore');
+
+// Level bundles: a zip file holding a level and every image it references,
+// so levels can move between servers without depending on where the images
+// were hosted. Only images the server already has are bundled: remote URLs
+// are never fetched, they stay in the level as they are.
+//   manifest.json  { format, levelName, exportedAt, assets: { <url in level>: 'assets/<file>' }, missing: [url] }
+//   level.json     the level as stored
+//   assets/<sha256>.<ext>
+// On import the level's URLs are rewritten to point at the images in the
+// asset store, which are only added once the level is known to be valid.
+
+const BUNDLE_FORMAT = 1;
+// Decompressed size limits: per JSON entry, and for all entries of a bundle
+// (images are limited by AssetStore.MAX_ASSET_BYTES each)
+const MAX_JSON_BYTES = 5 * 1024 * 1024;
+const MAX_BUNDLE_BYTES = 100 * 1024 * 1024;
+
+// Errors carry the HTTP status the routes should answer with
+class LevelBundleError extends Error {
+  constructor(message, status, details = []) {
+    super(message);
+    this.name = 'LevelBundleError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Image URLs referenced by a level (level and object backgrounds)
+function collectImageUrls(level) {
+  const urls = new Set();
+  if (level.backgroundImage) urls.add(level.backgroundImage);
+  (level.objects || []).forEach(obj => {
+    if (obj && obj.backgroundImage) urls.add(obj.backgroundImage);
+  });
+  return Array.from(urls);
+}
+
+// Replace image URLs of a level using a { oldUrl: newUrl } map
+function rewriteImageUrls(level, urlMap) {
+  const rewrite = url => (Object.prototype.hasOwnProperty.call(urlMap, url) ? urlMap[url] : url);
+
+  return {
+    ...level,
+    backgroundImage: rewrite(level.backgroundImage),
+    objects: (level.objects || []).map(obj => (
+      obj && obj.backgroundImage ? { ...obj, backgroundImage: rewrite(obj.backgroundImage) } : obj
+    ))
+  };
+}
+
+// Image data behind a level URL: stored assets, files of the client
+// directory (e.g. ./img/background.png) and data: URLs
+function loadImage(url, { assetStore, clientDir }) {
+  if (url.startsWith('data:')) {
+    const match = /^data:[^;,]*;base64,(.*)$/.exec(url);
+    if (!match) throw new Error('only base64 data URLs are supported');
+    return Buffer.from(match[1], 'base64');
+  }
+
+  const assetFile = AssetStore.fileNameFromUrl(url);
+  if (assetFile) {
+    const data = assetStore.read(assetFile);
+    if (!data) throw new Error('asset not found');
+    return data;
+  }
+
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith('//')) {
+    throw new Error('remote images are not bundled');
+  }
+
+  const relativePath = url.split(/[?#]/)[0].replace(/^\.?\//, '');
+  const filePath = path.resolve(clientDir, relativePath);
+  if (!filePath.startsWith(path.resolve(clientDir) + path.sep) || !fs.existsSync(filePath)) {
+    throw new Error('file not found');
+  }
+  return fs.readFileSync(filePath);
+}
+
+// Build a bundle for a level, returns { buffer, missing } where missing lists
+// the image URLs that could not be loaded (they are kept unchanged)
+function exportBundle(levelName, level, options) {
+  const zip = new AdmZip();
+  const assets = {};
+  const missing = [];
+
+  for (const url of collectImageUrls(level)) {
+    try {
+      const data = loadImage(url, options);
+      const extension = AssetStore.detectExtension(data);
+      if (!extension) throw new Error('not a supported image');
+
+      const entryName = `assets/${crypto.createHash('sha256').update(data).digest('hex')}.${extension}`;
+      if (!zip.getEntry(entryName)) {
+        zip.addFile(entryName, data);
+      }
+      assets[url] = entryName;
+    } catch (error) {
+      console.error(`Bundle for ${levelName}: could not include ${url.slice(0, 100)}: ${error.message}`);
+      missing.push(url);
+    }
+  }
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    levelName,
+    exportedAt: new Date().toISOString(),
+    assets,
+    missing
+  };
+
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+  zip.addFile('level.json', Buffer.from(JSON.stringify(level, null, 2)));
+  return { buffer: zip.toBuffer(), missing };
+}
+
+// Decompressed data of a zip entry, at most maxBytes. The sizes in the zip
+// headers are not trusted (zip bombs): inflating stops at the limit.
+function readEntry(entry, maxBytes) {
+  const tooLarge = () => new LevelBundleError(`Bundle entry ${entry.entryName} is larger than ${maxBytes} bytes`, 400);
+  if (entry.header.encrypted) {
+    throw new LevelBundleError(`Bundle entry ${entry.entryName} is encrypted`, 400);
+  }
+
+  const compressed = entry.getCompressedData();
+  let data;
+  if (entry.header.method === 0) {
+    data = compressed;
+  } else if (entry.header.method === 8) {
+    try {
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: maxBytes });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+      throw new LevelBundleError(`Bundle entry ${entry.entryName} could not be decompressed`, 400);
+    }
+  } else {
+    throw new LevelBundleError(`Bundle entry ${entry.entryName} uses an unsupported compression method`, 400);
+  }
+
+  if (data.length > maxBytes) throw tooLarge();
+  return data;
+}
+
+// Reads bundle entries while keeping the total decompressed size in check
+function createEntryReader(zip) {
+  let remaining = MAX_BUNDLE_BYTES;
+
+  return (entryName, maxBytes) => {
+    const entry = zip.getEntry(entryName);
+    if (!entry || entry.isDirectory) return null;
+
+    const data = readEntry(entry, Math.min(maxBytes, remaining));
+    remaining -= data.length;
+    return data;
+  };
+}
+
+function readJsonEntry(readBundleEntry, entryName) {
+  const data = readBundleEntry(entryName, MAX_JSON_BYTES);
+  if (!data) {
+    throw new LevelBundleError(`Bundle has no ${entryName}`, 400);
+  }
+
+  try {
+    return JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    throw new LevelBundleError(`Bundle ${entryName} is not valid JSON`, 400);
+  }
+}
+
+// Unpack a bundle: checks its level (with the URLs rewritten), then stores its
+// images in the asset store and returns { levelName, level, assetCount }
+function importBundle(buffer, { assetStore }) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+    zip.getEntries();
+  } catch (error) {
+    throw new LevelBundleError('Bundle is not a valid zip file', 400);
+  }
+
+  const readBundleEntry = createEntryReader(zip);
+  const manifest = readJsonEntry(readBundleEntry, 'manifest.json');
+  if (manifest.format !== BUNDLE_FORMAT) {
+    throw new LevelBundleError(`Unsupported bundle format: ${manifest.format}`, 400);
+  }
+  const level = readJsonEntry(readBundleEntry, 'level.json');
+  if (level === null || typeof level !== 'object' || Array.isArray(level)) {
+    throw new LevelBundleError('Bundle level.json must hold a level object', 400);
+  }
+
+  const urlMap = {};
+  const assets = [];
+  const assetData = new Map(); // Entries used for several URLs are read once
+  Object.entries(manifest.assets || {}).forEach(([url, manifestEntry]) => {
+    const entryName = String(manifestEntry);
+    if (!assetData.has(entryName)) {
+      assetData.set(entryName, readBundleEntry(entryName, AssetStore.MAX_ASSET_BYTES));
+    }
+    const data = assetData.get(entryName);
+    if (!data) {
+      throw new LevelBundleError(`Bundle is missing asset ${entryName}`, 400);
+    }
+
+    try {
+      urlMap[url] = AssetStore.identify(data).url;
+    } catch (error) {
+      throw new LevelBundleError(`Bundle asset ${entryName}: ${error.message}`, 400);
+    }
+    assets.push({ data, originalName: path.basename(entryName) });
+  });
+
+  const rewritten = rewriteImageUrls(level, urlMap);
+  try {
+    LevelSchema.parseLevel(rewritten);
+  } catch (error) {
+    throw new LevelBundleError(`Bundle level.json: ${error.message}`, 400, error.validationErrors || []);
+  }
+
+  assets.forEach(({ data, originalName }) => assetStore.save(data, { originalName }));
+
+  return {
+    levelName: manifest.levelName,
+    level: rewritten,
+    assetCount: Object.keys(urlMap).length
+  };
+}
+
+module.exports = {
+  LevelBundleError,
+  collectImageUrls,
+  rewriteImageUrls,
+  exportBundle,
+  importBundle
+};
@@ -0,0 +1,69 @@
+// Object-by-object comparison of two levels, used by the revision history.
+//   {
+//     fields: { name: { from, to }, ... },
+//     objects: { added: [obj], removed: [obj], changed: [{ id, changes: { key: { from, to } } }] },
+//     connections: { added, removed, changed }
+//   }
+// Objects and connections are matched by id.
+
+const LEVEL_FIELDS = ['name', 'description', 'version', 'backgroundImage', 'world', 'bounds'];
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function diffRecord(from, to) {
+  const changes = {};
+  const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+
+  keys.forEach(key => {
+    if (!isEqual(from[key], to[key])) {
+      changes[key] = { from: from[key], to: to[key] };
+    }
+  });
+  return changes;
+}
+
+function diffCollection(fromList = [], toList = []) {
+  const fromById = new Map(fromList.map(item => [item.id, item]));
+  const toById = new Map(toList.map(item => [item.id, item]));
+  const result = { added: [], removed: [], changed: [] };
+
+  toList.forEach(item => {
+    const previous = fromById.get(item.id);
+    if (!previous) {
+      result.added.push(item);
+      return;
+    }
+
+    const changes = diffRecord(previous, item);
+    if (Object.keys(changes).length > 0) {
+      result.changed.push({ id: item.id, changes });
+    }
+  });
+
+  fromList.forEach(item => {
+    if (!toById.has(item.id)) {
+      result.removed.push(item);
+    }
+  });
+
+  return result;
+}
+
+function diffLevels(from, to) {
+  const fields = {};
+  LEVEL_FIELDS.forEach(key => {
+    if (!isEqual(from[key], to[key])) {
+      fields[key] = { from: from[key], to: to[key] };
+    }
+  });
+
+  return {
+    fields,
+    objects: diffCollection(from.objects, to.objects),
+    connections: diffCollection(from.connections, to.connections)
+  };
+}
+
+module.exports = { diffLevels };
@@ -0,0 +1,217 @@
+const LevelSchema = require('../shared/levelSchema');
+
+// Level names are used as file names, so they are limited to a safe set
+const LEVEL_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Errors carry the HTTP status the routes should answer with
+class LevelRepositoryError extends Error {
+  constructor(message, status, details = []) {
+    super(message);
+    this.name = 'LevelRepositoryError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// The only code that reads or writes levels. Level names are validated
+// before they reach the storage backend (see levelStorage.js), stored data
+// is migrated and validated, and storage and JSON errors are turned into
+// LevelRepositoryErrors.
+//
+// Every save, restore and delete also records a revision holding the level
+// data and who changed it, so earlier versions can be compared and restored.
+class LevelRepository {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  static isValidName(name) {
+    return typeof name === 'string' && LEVEL_NAME_PATTERN.test(name);
+  }
+
+  checkName(name) {
+    if (!LevelRepository.isValidName(name)) {
+      throw new LevelRepositoryError('Level names may only contain letters, numbers, _ and - (max 64)', 400);
+    }
+  }
+
+  list() {
+    return this.listDetailed().map(level => level.name);
+  }
+
+  // Names with modification time and size (admin panel)
+  listDetailed() {
+    return this.storage.list().filter(level => LevelRepository.isValidName(level.name));
+  }
+
+  // Names of levels whose name or description contains the query
+  search(query) {
+    return this.storage.search(String(query))
+      .filter(level => LevelRepository.isValidName(level.name))
+      .map(level => level.name);
+  }
+
+  exists(name) {
+    return LevelRepository.isValidName(name) && this.storage.exists(name);
+  }
+
+  // Parsed level data as stored
+  readRaw(name) {
+    this.checkName(name);
+
+    const data = this.storage.read(name);
+    if (data === null) {
+      throw new LevelRepositoryError('Level not found', 404);
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      throw new LevelRepositoryError(`Level file is not valid JSON: ${error.message}`, 422);
+    }
+  }
+
+  // Unreadable levels are still saved over or deleted, just without a copy in the history
+  readRawOrNull(name) {
+    try {
+      return this.readRaw(name);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Migrated but not validated, so the editor can open and fix broken levels
+  readForEditing(name) {
+    try {
+      return LevelSchema.migrateLevel(this.readRaw(name));
+    } catch (error) {
+      if (error instanceof LevelRepositoryError) throw error;
+      throw new LevelRepositoryError(error.message, 422);
+    }
+  }
+
+  // Migrated and validated level, ready for GameLogic.loadLevel
+  load(name) {
+    try {
+      return LevelSchema.parseLevel(this.readRaw(name));
+    } catch (error) {
+      if (error instanceof LevelRepositoryError) throw error;
+      throw new LevelRepositoryError(error.message, 422, error.validationErrors || []);
+    }
+  }
+
+  // Validate and write a level, returns the stored (migrated) data.
+  // options: { author, message, action } recorded with the new revision
+  save(name, levelData, options = {}) {
+    this.checkName(name);
+
+    let validated;
+    try {
+      validated = LevelSchema.parseLevel(levelData);
+    } catch (error) {
+      throw new LevelRepositoryError(error.message, 400, error.validationErrors || []);
+    }
+
+    // Levels saved before the history existed keep their current data as a baseline
+    if (this.storage.exists(name) && this.storage.listRevisions(name).length === 0) {
+      this.recordRevision(name, this.readRawOrNull(name), { action: 'baseline' });
+    }
+
+    try {
+      this.storage.write(name, validated);
+    } catch (error) {
+      console.error(`Failed to save level ${name}:`, error.message);
+      throw new LevelRepositoryError('Failed to save level', 500);
+    }
+
+    this.recordRevision(name, validated, { action: 'save', ...options });
+    return validated;
+  }
+
+  // Remove a level; its content stays in the history and can be restored
+  delete(name, options = {}) {
+    this.checkName(name);
+    if (!this.storage.exists(name)) {
+      throw new LevelRepositoryError('Level not found', 404);
+    }
+
+    this.recordRevision(name, this.readRawOrNull(name), { ...options, action: 'delete' });
+    this.storage.remove(name);
+  }
+
+  // Revision history
+
+  recordRevision(name, levelData, { author = null, message = '', action = 'save' } = {}) {
+    return this.storage.addRevision(name, {
+      levelName: name,
+      action,
+      author,
+      message,
+      createdAt: Date.now(),
+      level: levelData
+    });
+  }
+
+  // Revision metadata, newest first
+  listRevisions(name) {
+    this.checkName(name);
+    return this.storage.listRevisions(name);
+  }
+
+  // A revision with its level data (migrated to the current version)
+  getRevision(name, revisionId) {
+    this.checkName(name);
+
+    const id = Number(revisionId);
+    if (!Number.isInteger(id) || id < 1) {
+      throw new LevelRepositoryError('Revision not found', 404);
+    }
+
+    let revision;
+    try {
+      revision = this.storage.readRevision(name, id);
+      if (revision && !revision.level) {
+        throw new Error('no level data was recorded');
+      }
+    } catch (error) {
+      throw new LevelRepositoryError(`Revision is unreadable: ${error.message}`, 422);
+    }
+
+    if (!revision) {
+      throw new LevelRepositoryError('Revision not found', 404);
+    }
+
+    try {
+      return { ...revision, level: LevelSchema.migrateLevel(revision.level) };
+    } catch (error) {
+      throw new LevelRepositoryError(`Revision is unreadable: ${error.message}`, 422);
+    }
+  }
+
+  // Make a revision the current level again (recorded as a new revision)
+  restore(name, revisionId, options = {}) {
+    const revision = this.getRevision(name, revisionId);
+    return this.save(name, revision.level, {
+      author: options.author,
+      message: options.message || `Restored revision ${revision.id}`,
+      action: 'restore'
+    });
+  }
+
+  // Levels that were deleted but still have a history
+  listDeleted() {
+    return this.storage.listHistoryNames()
+      .filter(name => LevelRepository.isValidName(name) && !this.storage.exists(name))
+      .map(name => ({ name, revisions: this.storage.listRevisions(name) }))
+      .filter(level => level.revisions.length > 0)
+      .map(level => ({
+        name: level.name,
+        deletedAt: level.revisions[0].createdAt,
+        lastRevision: level.revisions[0].id
+      }));
+  }
+}
+
+LevelRepository.LevelRepositoryError = LevelRepositoryError;
+
+module.exports = LevelRepository;
@@ -0,0 +1,33 @@
+const FileLevelStorage = require('./fileLevelStorage');
+
+// Level storage backends, selected with LEVEL_STORAGE:
+//   fs      levels/<name>.json files and levels/.history (default)
+//   sqlite  an SQLite database at LEVEL_DB_PATH (default data/levels.db)
+//
+// A storage only stores; names are validated and level data is migrated and
+// validated by the LevelRepository. Every backend implements:
+//   list()                      -> [{ name, modified, size }]
+//   search(query)               -> same, name or description contains query
+//   exists(name)                -> boolean
+//   read(name)                  -> stored JSON text, null if missing
+//   write(name, levelData)
+//   remove(name)
+//   listRevisions(name)         -> [{ id, levelName, action, author, message, createdAt }], newest first
+//   readRevision(name, id)      -> revision with its level data, null if missing
+//   addRevision(name, revision) -> revision metadata with its new id
+//   listHistoryNames()          -> names of levels with revisions (including deleted ones)
+function createLevelStorage({ type = 'fs', levelsDir, dbPath }) {
+  switch (type) {
+    case 'fs':
+      return new FileLevelStorage(levelsDir);
+    case 'sqlite': {
+      // Loaded on demand, better-sqlite3 is an optional dependency
+      const SqliteLevelStorage = require('./sqliteLevelStorage');
+      return new SqliteLevelStorage(dbPath, { importFrom: levelsDir });
+    }
+    default:
+      throw new Error(`Unknown LEVEL_STORAGE "${type}" (expected fs or sqlite)`);
+  }
+}
+
+module.exports = { createLevelStorage };
@@ -0,0 +1,154 @@
+// Server health metrics in the Prometheus text format, served at /metrics.
+// The numbers are kept where they happen (GameLogic.stats, TwitchChat.stats
+// and the broadcast stats of the socket handlers) and collected on request.
+
+const TICK_QUANTILES = [0.5, 0.9, 0.99];
+const TICK_WINDOW = 600; // Percentiles over the last 600 ticks (10 seconds)
+
+// The latest samples of a measurement (e.g. tick durations) for percentiles,
+// plus the count and sum of every sample recorded
+class SampleWindow {
+  constructor(size = TICK_WINDOW) {
+    this.size = size;
+    this.samples = [];
+    this.next = 0;
+    this.count = 0;
+    this.sum = 0;
+  }
+
+  record(value) {
+    if (this.samples.length < this.size) {
+      this.samples.push(value);
+    } else {
+      this.samples[this.next] = value;
+    }
+    this.next = (this.next + 1) % this.size;
+    this.count++;
+    this.sum += value;
+  }
+
+  // Nearest-rank percentile of the window, q in 0..1
+  percentile(q) {
+    if (this.samples.length === 0) return 0;
+
+    const sorted = [...this.samples].sort((a, b) => a - b);
+    const rank = Math.max(1, Math.ceil(q * sorted.length));
+    return sorted[rank - 1];
+  }
+}
+
+function formatLabels(labels = {}) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+// Text exposition of metric families [{ name, help, type, samples: [{ name?, labels, value }] }]
+function renderMetrics(families) {
+  const lines = [];
+  families.forEach(family => {
+    lines.push(`# HELP ${family.name} ${family.help}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    family.samples.forEach(sample => {
+      lines.push(`${sample.name || family.name}${formatLabels(sample.labels)} ${sample.value}`);
+    });
+  });
+  return lines.join('\n') + '\n';
+}
+
+// Metrics of every room and the socket server.
+// getBroadcastStats(roomId): { messages, bytes, lastBytes } of the room's state updates, over all its sockets
+function collectMetrics({ roomManager, io, getBroadcastStats }) {
+  const rooms = Array.from(roomManager.rooms.values());
+  const perRoom = (name, help, type, value) => ({
+    name,
+    help,
+    type,
+    samples: rooms.map(room => ({ labels: { room: room.id }, value: value(room) }))
+  });
+
+  const families = [
+    {
+      name: 'marblews_physics_tick_duration_milliseconds',
+      help: `Time spent in one physics tick (quantiles over the last ${TICK_WINDOW} ticks)`,
+      type: 'summary',
+      samples: rooms.flatMap(room => {
+        const durations = room.gameLogic.stats.tickDurations;
+        return [
+          ...TICK_QUANTILES.map(q => ({
+            labels: { room: room.id, quantile: q },
+            value: durations.percentile(q)
+          })),
+          { name: 'marblews_physics_tick_duration_milliseconds_sum', labels: { room: room.id }, value: durations.sum },
+          { name: 'marblews_physics_tick_duration_milliseconds_count', labels: { room: room.id }, value: durations.count }
+        ];
+      })
+    },
+    {
+      name: 'marblews_bodies',
+      help: 'Physics bodies by type',
+      type: 'gauge',
+      samples: rooms.flatMap(room => {
+        const { gameLogic } = room;
+        return [
+          { labels: { room: room.id, type: 'players' }, value: gameLogic.players.size },
+          { labels: { room: room.id, type: 'marbles' }, value: gameLogic.marbles.length },
+          { labels: { room: room.id, type: 'emotes' }, value: gameLogic.emotes.length },
+          { labels: { room: room.id, type: 'levelObjects' }, value: gameLogic.levelObjects.length }
+        ];
+      })
+    },
+    {
+      name: 'marblews_rooms',
+      help: 'Open rooms',
+      type: 'gauge',
+      samples: [{ value: rooms.length }]
+    },
+    perRoom('marblews_spectators', 'Spectators watching the room without a UFO', 'gauge',
+      room => room.spectators.size),
+    {
+      name: 'marblews_connected_sockets',
+      help: 'Connected Socket.io clients (players, spectators and overlays)',
+      type: 'gauge',
+      samples: [{ value: io.of('/').sockets.size }]
+    },
+    perRoom('marblews_broadcast_payload_bytes', 'Size of the latest state updates sent to all sockets of the room (as encoded, JSON or binary)', 'gauge',
+      room => getBroadcastStats(room.id).lastBytes),
+    perRoom('marblews_broadcast_bytes_total', 'Bytes of state updates sent (as encoded, summed over sockets)', 'counter',
+      room => getBroadcastStats(room.id).bytes),
+    perRoom('marblews_broadcasts_total', 'State update messages sent (one per socket per broadcast)', 'counter',
+      room => getBroadcastStats(room.id).messages),
+    perRoom('marblews_twitch_messages_total', 'Twitch chat messages processed', 'counter',
+      room => room.twitchChat.stats.messages),
+    perRoom('marblews_emotes_spawned_total', 'Emotes spawned into the game', 'counter',
+      room => room.gameLogic.stats.emotesSpawned),
+    {
+      name: 'marblews_emotes_dropped_total',
+      help: 'Emotes not spawned: chat cooldown, emote image unavailable or no spawn location in the level',
+      type: 'counter',
+      samples: rooms.flatMap(room => [
+        { labels: { room: room.id, reason: 'cooldown' }, value: room.twitchChat.stats.emotesDroppedCooldown },
+        { labels: { room: room.id, reason: 'unavailable' }, value: room.twitchChat.stats.emotesDroppedUnavailable },
+        { labels: { room: room.id, reason: 'noSpawn' }, value: room.gameLogic.stats.emotesDropped }
+      ])
+    },
+    {
+      name: 'process_resident_memory_bytes',
+      help: 'Resident memory size in bytes',
+      type: 'gauge',
+      samples: [{ value: process.memoryUsage().rss }]
+    },
+    {
+      name: 'process_uptime_seconds',
+      help: 'Seconds since the server started',
+      type: 'gauge',
+      samples: [{ value: Math.round(process.uptime()) }]
+    }
+  ];
+
+  return renderMetrics(families);
+}
+
+module.exports = { SampleWindow, renderMetrics, collectMetrics };
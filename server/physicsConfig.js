@@ -0,0 +1,56 @@
+const UfoPhysics = require('../shared/ufoPhysics');
+
+// Tunable physics of a room. GameLogic reads these instead of constants, so
+// they can be changed live from the admin panel (see GameLogic.setPhysics).
+const DEFAULT_PHYSICS = {
+  gravity: 0.8,                 // engine.world.gravity.y
+  ufoForce: UfoPhysics.UFO_FORCE, // Force per tick for each pressed direction
+  beamRange: 120,               // Beam reach below the UFO
+  beamWidth: 80,                // Beam width at the UFO (three times that at the bottom)
+  beamForce: 0.02,              // Upward force per tick while the beam is held
+  beamAttraction: 0.001,        // Pull towards the UFO center per tick while held
+  beamGrabForce: 0.05,          // Upward force of a beam interaction (click)
+  beamGrabAttraction: 0.002,    // Pull towards the UFO center of a beam interaction
+  marbleRadius: 30,
+  marbleFriction: 0.000005,
+  marbleRestitution: 0.7,
+  marbleDensity: 0.004
+};
+
+// Allowed range of each setting, in the order the admin panel shows them
+const PHYSICS_PARAMETERS = [
+  { key: 'gravity', label: 'Gravity', min: 0, max: 3, step: 0.05 },
+  { key: 'ufoForce', label: 'UFO force', min: 0.0005, max: 0.01, step: 0.0001 },
+  { key: 'beamRange', label: 'Beam range', min: 40, max: 400, step: 5 },
+  { key: 'beamWidth', label: 'Beam width', min: 20, max: 240, step: 5 },
+  { key: 'beamForce', label: 'Beam lift (held)', min: 0, max: 0.1, step: 0.001 },
+  { key: 'beamAttraction', label: 'Beam pull (held)', min: 0, max: 0.01, step: 0.0001 },
+  { key: 'beamGrabForce', label: 'Beam lift (grab)', min: 0, max: 0.2, step: 0.001 },
+  { key: 'beamGrabAttraction', label: 'Beam pull (grab)', min: 0, max: 0.02, step: 0.0001 },
+  { key: 'marbleRadius', label: 'Marble radius', min: 10, max: 80, step: 1 },
+  { key: 'marbleFriction', label: 'Marble friction', min: 0, max: 0.05, step: 0.000005 },
+  { key: 'marbleRestitution', label: 'Marble bounciness', min: 0, max: 1.2, step: 0.05 },
+  { key: 'marbleDensity', label: 'Marble density', min: 0.0005, max: 0.02, step: 0.0005 }
+];
+
+// Problems with (partial) physics settings as [{ path, message }]
+function validatePhysicsConfig(data) {
+  const errors = [];
+
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return [{ path: '', message: 'physics settings must be an object' }];
+  }
+
+  Object.keys(data).forEach(key => {
+    const parameter = PHYSICS_PARAMETERS.find(p => p.key === key);
+    if (!parameter) {
+      errors.push({ path: key, message: 'unknown setting' });
+    } else if (!Number.isFinite(data[key]) || data[key] < parameter.min || data[key] > parameter.max) {
+      errors.push({ path: key, message: `must be a number from ${parameter.min} to ${parameter.max}` });
+    }
+  });
+
+  return errors;
+}
+
+module.exports = { DEFAULT_PHYSICS, PHYSICS_PARAMETERS, validatePhysicsConfig };
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_PHYSICS } = require('./physicsConfig');
+
+const PRESET_NAME_PATTERN = /^[A-Za-z0-9 _-]{1,64}$/;
+
+// Named physics presets (name -> { name, physics, updatedAt }) saved from the
+// admin panel, stored as a single JSON file. Presets always hold every
+// setting, missing ones are filled in from the defaults.
+class PhysicsPresetStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.presets = new Map();
+
+    this.load();
+  }
+
+  static isValidName(name) {
+    return typeof name === 'string' && PRESET_NAME_PATTERN.test(name);
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.values(data).forEach(preset => {
+        this.presets.set(preset.name, preset);
+      });
+      console.log(`Loaded ${this.presets.size} physics presets`);
+    } catch (error) {
+      console.error('Failed to load physics presets:', error.message);
+    }
+  }
+
+  list() {
+    return Array.from(this.presets.values())
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(name) {
+    return this.presets.get(name) || null;
+  }
+
+  // Create or replace a preset (validate the settings first)
+  savePreset(name, physics) {
+    const preset = {
+      name,
+      physics: { ...DEFAULT_PHYSICS, ...physics },
+      updatedAt: Date.now()
+    };
+
+    this.presets.set(name, preset);
+    this.save();
+    return preset;
+  }
+
+  deletePreset(name) {
+    const removed = this.presets.delete(name);
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.presets), null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Failed to save physics presets:', error.message);
+    }
+  }
+}
+
+module.exports = PhysicsPresetStore;
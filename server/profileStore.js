@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+const SAVE_DELAY = 1000; // Batch profile changes into one write per second
+
+// Persistent player profiles (XP, level and lifetime stats) keyed by Twitch
+// userId, stored as a single JSON file.
+class ProfileStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.profiles = new Map();
+    this.saveTimer = null;
+
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.values(data).forEach(profile => {
+        this.profiles.set(profile.userId, profile);
+      });
+      console.log(`Loaded ${this.profiles.size} player profiles`);
+    } catch (error) {
+      console.error('Failed to load player profiles:', error.message);
+    }
+  }
+
+  getProfile(userId) {
+    return this.profiles.get(String(userId)) || null;
+  }
+
+  // Load (or create) the profile of a player logging in
+  startSession(userId, username) {
+    const now = Date.now();
+    let profile = this.getProfile(userId);
+
+    if (!profile) {
+      profile = {
+        userId: String(userId),
+        username,
+        xp: 0,
+        level: 1,
+        stats: {
+          sessions: 0,
+          playTimeMs: 0,
+          totalXpEarned: 0
+        },
+        createdAt: now,
+        updatedAt: now
+      };
+      this.profiles.set(profile.userId, profile);
+    }
+
+    profile.username = username;
+    profile.stats.sessions++;
+    profile.lastSeen = now;
+    this.scheduleSave();
+
+    return profile;
+  }
+
+  // Record XP/level changes of a player, xpGained is added to the lifetime total
+  recordProgress(userId, { xp, level, xpGained = 0 }) {
+    const profile = this.getProfile(userId);
+    if (!profile) return;
+
+    profile.xp = xp;
+    profile.level = level;
+    profile.stats.totalXpEarned += xpGained;
+    profile.updatedAt = Date.now();
+    this.scheduleSave();
+  }
+
+  // Record the end of a play session and write to disk right away
+  endSession(userId, { xp, level, playTimeMs = 0 }) {
+    const profile = this.getProfile(userId);
+    if (!profile) return;
+
+    profile.xp = xp;
+    profile.level = level;
+    profile.stats.playTimeMs += playTimeMs;
+    profile.lastSeen = Date.now();
+    profile.updatedAt = profile.lastSeen;
+    this.save();
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+  }
+
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      // Write to a temporary file first so a crash never leaves a truncated file
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.profiles), null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Failed to save player profiles:', error.message);
+    }
+  }
+}
+
+module.exports = ProfileStore;
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+
+const ROLES = ['streamer', 'moderator', 'player', 'spectator'];
+
+// Roles allowed to perform each action
+const PERMISSIONS = {
+  play: ['streamer', 'moderator', 'player'],
+  loadLevel: ['streamer', 'moderator'],
+  spawnTestEmote: ['streamer', 'moderator'],
+  saveLevel: ['streamer', 'moderator'],
+  admin: ['streamer']
+};
+
+// Role assignments (userId -> { userId, username, role }) configured from the
+// admin panel, stored as a single JSON file. Users without an assignment get
+// a default role: the streamer of the main channel is 'streamer', dev mode
+// guests are 'moderator' (so the dev tools keep working) and everyone else
+// is a 'player'. Sockets without a session are spectators.
+class RoleStore {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.assignments = new Map();
+    this.streamerChannel = options.streamerChannel || null;
+    this.devMode = !!options.devMode;
+
+    this.load();
+  }
+
+  static isValidRole(role) {
+    return ROLES.includes(role);
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.values(data).forEach(assignment => {
+        this.assignments.set(assignment.userId, assignment);
+      });
+      console.log(`Loaded ${this.assignments.size} role assignments`);
+    } catch (error) {
+      console.error('Failed to load roles:', error.message);
+    }
+  }
+
+  setStreamerChannel(channel) {
+    this.streamerChannel = channel || null;
+  }
+
+  // Role of a session ({ userId, username }) or 'spectator' without one
+  getRole(session) {
+    if (!session) return 'spectator';
+
+    const assignment = this.assignments.get(String(session.userId));
+    if (assignment) return assignment.role;
+
+    // Dev logins pick any username, so only Twitch logins can be the streamer
+    const isDevSession = String(session.userId).startsWith('dev_');
+    if (isDevSession) {
+      return this.devMode ? 'moderator' : 'player';
+    }
+    if (this.streamerChannel && session.username.toLowerCase() === this.streamerChannel.toLowerCase()) {
+      return 'streamer';
+    }
+    return 'player';
+  }
+
+  hasPermission(session, permission) {
+    const allowed = PERMISSIONS[permission] || [];
+    return allowed.includes(this.getRole(session));
+  }
+
+  // Permissions granted to a session, sent to clients to show the right controls
+  getPermissions(session) {
+    const role = this.getRole(session);
+    return Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role));
+  }
+
+  listAssignments() {
+    return Array.from(this.assignments.values());
+  }
+
+  assignRole(userId, role, username = null) {
+    const assignment = { userId: String(userId), username, role, updatedAt: Date.now() };
+    this.assignments.set(assignment.userId, assignment);
+    this.save();
+    return assignment;
+  }
+
+  removeRole(userId) {
+    const removed = this.assignments.delete(String(userId));
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.assignments), null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Failed to save roles:', error.message);
+    }
+  }
+}
+
+RoleStore.ROLES = ROLES;
+RoleStore.PERMISSIONS = PERMISSIONS;
+
+module.exports = RoleStore;
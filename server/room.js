@@ -0,0 +1,157 @@
+const GameLogic = require('./gameLogic');
+const TwitchChat = require('./twitchChat');
+const CampaignRunner = require('./campaignRunner');
+const { validatePhysicsConfig } = require('./physicsConfig');
+
+// A room is an isolated game session: its own physics world, level,
+// player set and Twitch chat binding. Sockets in the room share a
+// Socket.io room named after the room id.
+class Room {
+  constructor(id, options = {}) {
+    this.id = id;
+    this.createdAt = Date.now();
+    this.levelName = null;
+    this.levelLoadedAt = null;
+    this.levelRepository = options.levelRepository;
+    this.campaignRunner = null;
+    // Socket ids watching the room without a UFO
+    this.spectators = new Set();
+    this.gameLogic = new GameLogic({ intermissionSeconds: options.intermissionSeconds });
+    this.twitchChat = new TwitchChat(this.gameLogic, options.twitchChannel || null);
+  }
+
+  get twitchChannel() {
+    return this.twitchChat.channel;
+  }
+
+  // Name of the level file currently loaded
+  get currentLevelName() {
+    return this.levelName;
+  }
+
+  // Load a level from the level repository, returns the level data or null.
+  // Older level versions are migrated, invalid levels are refused.
+  loadLevel(levelName) {
+    let levelData;
+    try {
+      levelData = this.levelRepository.load(levelName);
+    } catch (error) {
+      console.error(`Failed to load level ${levelName}: ${error.message}`);
+      return null;
+    }
+
+    this.gameLogic.loadLevel(levelData);
+    this.levelName = levelName;
+    this.levelLoadedAt = Date.now();
+    return levelData;
+  }
+
+  // Campaigns
+
+  // Start playing a campaign from its first level, returns the level data or
+  // null if none of its levels could be loaded
+  startCampaign(campaign) {
+    this.campaignRunner = new CampaignRunner(campaign);
+    return this.loadCampaignLevel();
+  }
+
+  // Load the level after the current campaign level, returns the level data
+  // or null once the campaign is over
+  advanceCampaign() {
+    if (!this.campaignRunner || !this.campaignRunner.advance()) {
+      this.stopCampaign();
+      return null;
+    }
+    return this.loadCampaignLevel();
+  }
+
+  // Load the campaign's current level, skipping levels that fail to load
+  loadCampaignLevel() {
+    const runner = this.campaignRunner;
+
+    for (let attempt = 0; attempt < runner.order.length; attempt++) {
+      const levelData = this.loadLevel(runner.currentLevel);
+      if (levelData) {
+        this.gameLogic.scheduledNextLevel = runner.peekNext();
+        return levelData;
+      }
+      if (!runner.advance()) break;
+    }
+
+    console.error(`Campaign ${runner.campaign.id} has no loadable level left in room ${this.id}`);
+    this.stopCampaign();
+    return null;
+  }
+
+  stopCampaign() {
+    this.campaignRunner = null;
+    this.gameLogic.scheduledNextLevel = null;
+  }
+
+  // Campaign position for the HUD and admin panel, null without a campaign
+  getCampaignProgress() {
+    return this.campaignRunner ? this.campaignRunner.getProgress() : null;
+  }
+
+  // State of the room for a world snapshot (see worldSnapshot.js)
+  getSnapshot() {
+    return {
+      id: this.id,
+      twitchChannel: this.twitchChannel || null,
+      levelName: this.levelName,
+      ...this.gameLogic.getSnapshot()
+    };
+  }
+
+  // Load the snapshot's level and put its bodies back, returns the level
+  // data or null if the level could not be loaded
+  restoreSnapshot(snapshot) {
+    const levelData = this.loadLevel(snapshot.levelName);
+    if (!levelData) return null;
+
+    const physicsErrors = snapshot.physics ? validatePhysicsConfig(snapshot.physics) : [];
+    this.gameLogic.restoreSnapshot({
+      ...snapshot,
+      physics: physicsErrors.length === 0 ? snapshot.physics : null
+    });
+    return levelData;
+  }
+
+  setTwitchChannel(channel) {
+    this.twitchChat.reconnect(channel);
+  }
+
+  // Players in the room for the admin panel
+  listPlayers() {
+    return Array.from(this.gameLogic.players.values()).map(player => ({
+      id: player.id,
+      username: player.username,
+      userId: player.userId,
+      x: Math.round(player.x),
+      y: Math.round(player.y),
+      level: player.level,
+      xp: player.xp,
+      joinedAt: player.joinedAt
+    }));
+  }
+
+  getSummary() {
+    return {
+      id: this.id,
+      levelName: this.currentLevelName,
+      playerCount: this.gameLogic.players.size,
+      spectatorCount: this.spectators.size,
+      twitchChannel: this.twitchChannel || '',
+      levelState: this.gameLogic.levelState,
+      campaign: this.getCampaignProgress(),
+      createdAt: this.createdAt
+    };
+  }
+
+  destroy() {
+    this.twitchChat.disconnect();
+    this.gameLogic.stop();
+  }
+}
+
+module.exports = Room;
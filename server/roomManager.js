@@ -0,0 +1,80 @@
+const Room = require('./room');
+
+const DEFAULT_ROOM_ID = 'main';
+const ROOM_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+class RoomManager {
+  // options.levelRepository: where rooms load their levels from
+  constructor(options = {}) {
+    this.levelRepository = options.levelRepository;
+    this.rooms = new Map();
+    this.eventListeners = new Map();
+  }
+
+  // Event system
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  emit(event, data) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => callback(data));
+    }
+  }
+
+  static isValidRoomId(roomId) {
+    return typeof roomId === 'string' && ROOM_ID_PATTERN.test(roomId);
+  }
+
+  createRoom(roomId, options = {}) {
+    if (!RoomManager.isValidRoomId(roomId)) {
+      throw new Error('Room id must be 1-32 characters of a-z, 0-9, _ or -');
+    }
+    if (this.rooms.has(roomId)) {
+      throw new Error(`Room already exists: ${roomId}`);
+    }
+
+    const room = new Room(roomId, { ...options, levelRepository: this.levelRepository });
+    this.rooms.set(roomId, room);
+    this.emit('roomCreated', room);
+
+    if (options.levelName && !room.loadLevel(options.levelName)) {
+      console.error(`Level not found for room ${roomId}: ${options.levelName}`);
+    }
+
+    console.log(`Room created: ${roomId}`);
+    return room;
+  }
+
+  getRoom(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  getDefaultRoom() {
+    return this.rooms.get(DEFAULT_ROOM_ID) || null;
+  }
+
+  removeRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room || roomId === DEFAULT_ROOM_ID) {
+      return false;
+    }
+
+    this.emit('roomRemoved', room);
+    room.destroy();
+    this.rooms.delete(roomId);
+    console.log(`Room removed: ${roomId}`);
+    return true;
+  }
+
+  listRooms() {
+    return Array.from(this.rooms.values()).map(room => room.getSummary());
+  }
+}
+
+RoomManager.DEFAULT_ROOM_ID = DEFAULT_ROOM_ID;
+
+module.exports = RoomManager;
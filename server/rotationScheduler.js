@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const { LEVEL_STATES } = require('./gameLogic');
+
+const ORDERS = ['sequence', 'shuffle'];
+const CHECK_INTERVAL = 1000;
+
+// Rotation settings of a room that has none configured
+const DEFAULT_CONFIG = {
+  enabled: false,
+  pool: [],              // Level names, empty for every level
+  order: 'sequence',     // 'sequence' follows the pool, 'shuffle' picks at random
+  onCompletion: true,    // Rotate after a completed level without nextLevel
+  maxLevelSeconds: 0,    // Rotate after this long on one level (0 = off)
+  idleSeconds: 0         // Rotate after this long without player input (0 = off)
+};
+
+// Automatic level rotation for unattended streams. Each room can rotate
+// through a pool of levels when a level is completed without a nextLevel,
+// after a maximum time on a level, or when no player has moved for a while.
+// Rooms playing a campaign are left to the campaign.
+//
+// Settings (roomId -> config) are stored as a single JSON file. The
+// scheduler emits 'rotate' { room, reason } ('timeLimit' or 'idle') when a
+// room should move on; the socket handlers load the level and announce it.
+class RotationScheduler {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.roomManager = options.roomManager;
+    this.levelRepository = options.levelRepository;
+    this.random = options.random || Math.random;
+    this.configs = new Map();
+    this.eventListeners = new Map();
+    this.interval = null;
+
+    this.load();
+  }
+
+  // Event system
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  emit(event, data) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => callback(data));
+    }
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.entries(data).forEach(([roomId, config]) => {
+        this.configs.set(roomId, { ...DEFAULT_CONFIG, ...config });
+      });
+      console.log(`Loaded rotation settings for ${this.configs.size} rooms`);
+    } catch (error) {
+      console.error('Failed to load rotation settings:', error.message);
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.configs), null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Failed to save rotation settings:', error.message);
+    }
+  }
+
+  getConfig(roomId) {
+    return { ...DEFAULT_CONFIG, ...(this.configs.get(roomId) || {}) };
+  }
+
+  // Problems with rotation settings as [{ path, message }]
+  validateConfig(data) {
+    const errors = [];
+    const error = (path, message) => errors.push({ path, message });
+
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      error('', 'rotation settings must be an object');
+      return errors;
+    }
+
+    ['enabled', 'onCompletion'].forEach(key => {
+      if (data[key] !== undefined && typeof data[key] !== 'boolean') {
+        error(key, 'must be a boolean');
+      }
+    });
+    ['maxLevelSeconds', 'idleSeconds'].forEach(key => {
+      if (data[key] !== undefined && !(Number.isFinite(data[key]) && data[key] >= 0)) {
+        error(key, 'must be a non-negative number of seconds');
+      }
+    });
+    if (data.order !== undefined && !ORDERS.includes(data.order)) {
+      error('order', `must be one of: ${ORDERS.join(', ')}`);
+    }
+
+    if (data.pool !== undefined) {
+      if (!Array.isArray(data.pool)) {
+        error('pool', 'must be an array of level names');
+      } else {
+        data.pool.forEach((levelName, index) => {
+          if (!this.levelRepository.exists(levelName)) {
+            error(`pool[${index}]`, `unknown level "${levelName}"`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  // Update a room's settings (validate first), returns the full config
+  setConfig(roomId, data) {
+    const config = { ...this.getConfig(roomId) };
+    Object.keys(DEFAULT_CONFIG).forEach(key => {
+      if (data[key] !== undefined) {
+        config[key] = Array.isArray(data[key]) ? [...data[key]] : data[key];
+      }
+    });
+
+    this.configs.set(roomId, config);
+    this.save();
+
+    const room = this.roomManager.getRoom(roomId);
+    if (room) {
+      this.levelLoaded(room);
+    }
+    return config;
+  }
+
+  // Levels a room may rotate to, in the order they should be tried
+  getCandidates(room) {
+    const config = this.getConfig(room.id);
+    const pool = (config.pool.length > 0 ? config.pool : this.levelRepository.list())
+      .filter(levelName => this.levelRepository.exists(levelName));
+    const others = pool.filter(levelName => levelName !== room.currentLevelName);
+
+    if (others.length === 0) {
+      return pool;
+    }
+
+    if (config.order === 'shuffle') {
+      for (let i = others.length - 1; i > 0; i--) {
+        const j = Math.floor(this.random() * (i + 1));
+        [others[i], others[j]] = [others[j], others[i]];
+      }
+      return others;
+    }
+
+    // Continue after the current level's position in the pool
+    const index = pool.indexOf(room.currentLevelName);
+    const ordered = [...pool.slice(index + 1), ...pool.slice(0, index + 1)];
+    return ordered.filter(levelName => levelName !== room.currentLevelName);
+  }
+
+  // Called whenever a room loads a level: picks the level that follows a
+  // completion without nextLevel. Returns the rotation info for announcements.
+  levelLoaded(room) {
+    const config = this.getConfig(room.id);
+    const active = config.enabled && !room.campaignRunner;
+
+    room.gameLogic.defaultNextLevel = active && config.onCompletion
+      ? this.getCandidates(room)[0] || null
+      : null;
+
+    return active ? this.getStatus(room) : null;
+  }
+
+  // Rotation settings of a room plus the planned next level and time limits
+  getStatus(room) {
+    const config = this.getConfig(room.id);
+    return {
+      enabled: config.enabled,
+      nextLevel: room.gameLogic.defaultNextLevel,
+      maxLevelSeconds: config.maxLevelSeconds,
+      idleSeconds: config.idleSeconds
+    };
+  }
+
+  start() {
+    if (!this.interval) {
+      this.interval = setInterval(() => this.check(), CHECK_INTERVAL);
+    }
+  }
+
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  // Rotate rooms whose level ran too long or saw no input for too long
+  check(now = Date.now()) {
+    this.roomManager.rooms.forEach(room => {
+      const config = this.getConfig(room.id);
+      if (!config.enabled || room.campaignRunner || !room.levelLoadedAt ||
+          room.gameLogic.levelState !== LEVEL_STATES.PLAYING) {
+        return;
+      }
+
+      if (config.maxLevelSeconds > 0 && now - room.levelLoadedAt >= config.maxLevelSeconds * 1000) {
+        this.emit('rotate', { room, reason: 'timeLimit' });
+      } else if (config.idleSeconds > 0 && now - room.gameLogic.lastInputAt >= config.idleSeconds * 1000) {
+        this.emit('rotate', { room, reason: 'idle' });
+      }
+    });
+  }
+}
+
+RotationScheduler.DEFAULT_CONFIG = DEFAULT_CONFIG;
+RotationScheduler.ORDERS = ORDERS;
+
+module.exports = RotationScheduler;
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+
+// Signed player sessions. After Twitch OAuth (or a dev login) the server
+// issues a token holding the player's identity, signed with SESSION_SECRET:
+//   base64url(JSON { userId, username, exp }) + '.' + base64url(HMAC-SHA256)
+// The token is stored in an HttpOnly cookie (or passed as the Socket.io
+// handshake auth token) and verified when a socket connects, so clients can
+// no longer choose which user they are.
+
+const SESSION_COOKIE = 'marblews_session';
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// The Twitch OAuth state is a random nonce (plus the room to return to),
+// also kept in a short-lived cookie: a callback whose state does not match
+// was not started by this browser (login CSRF)
+const OAUTH_STATE_COOKIE = 'marblews_oauth_state';
+const OAUTH_STATE_MAX_AGE = 10 * 60 * 1000; // 10 minutes
+
+let secret = process.env.SESSION_SECRET;
+if (!secret) {
+  // Sessions still work but are invalidated by every restart
+  console.warn('SESSION_SECRET not set, using a random secret for this run');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function createSessionToken({ userId, username }) {
+  const payload = Buffer.from(JSON.stringify({
+    userId: String(userId),
+    username,
+    exp: Date.now() + SESSION_MAX_AGE
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns the session ({ userId, username, exp }) or null if the token is
+// missing, tampered with or expired
+function verifySessionToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!session.userId || !session.username || session.exp < Date.now()) {
+      return null;
+    }
+    return session;
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+
+  header.split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const name = part.slice(0, index).trim();
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  });
+  return cookies;
+}
+
+function getRequestSession(req) {
+  return verifySessionToken(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+}
+
+// Session of a connecting socket: handshake auth token first, then the cookie
+function getHandshakeSession(handshake) {
+  const token = (handshake.auth && handshake.auth.token) ||
+    parseCookies(handshake.headers.cookie)[SESSION_COOKIE];
+  return verifySessionToken(token);
+}
+
+function setSessionCookie(res, session) {
+  const token = createSessionToken(session);
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    maxAge: SESSION_MAX_AGE,
+    path: '/'
+  });
+  return token;
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// Start an OAuth round trip, returns the state to send: '<nonce>.<roomId>'
+function createOAuthState(res, roomId) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  res.cookie(OAUTH_STATE_COOKIE, nonce, {
+    httpOnly: true,
+    sameSite: 'lax',
+    maxAge: OAUTH_STATE_MAX_AGE,
+    path: '/'
+  });
+  return `${nonce}.${roomId}`;
+}
+
+// Check the state returned to the OAuth callback against the cookie (which
+// is used up), returns the room id or null if it does not match
+function verifyOAuthState(req, res, state) {
+  const nonce = parseCookies(req.headers.cookie)[OAUTH_STATE_COOKIE];
+  res.clearCookie(OAUTH_STATE_COOKIE, { path: '/' });
+  if (typeof nonce !== 'string' || typeof state !== 'string') return null;
+
+  const index = state.indexOf('.');
+  if (index < 0) return null;
+
+  const expected = Buffer.from(nonce);
+  const actual = Buffer.from(state.slice(0, index));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return state.slice(index + 1);
+}
+
+module.exports = {
+  createSessionToken,
+  verifySessionToken,
+  getRequestSession,
+  getHandshakeSession,
+  setSessionCookie,
+  clearSessionCookie,
+  createOAuthState,
+  verifyOAuthState
+};
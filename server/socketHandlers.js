@@ -1,52 +1,384 @@
-function setupSocketHandlers(io, gameLogic) {
-  // Listen for loadNextLevel events from gameLogic
-  gameLogic.on('loadNextLevel', (nextLevelName) => {
-    // Load the next level
-    const fs = require('fs');
-    const path = require('path');
-    const levelPath = path.join(__dirname, '../levels', `${nextLevelName}.json`);
-    
-    if (fs.existsSync(levelPath)) {
-      const levelData = JSON.parse(fs.readFileSync(levelPath, 'utf8'));
-      gameLogic.loadLevel(levelData);
-      
-      // Broadcast level change to all players
-      io.emit('levelLoaded', {
-        levelName: nextLevelName,
-        levelData
+const RoomManager = require('./roomManager');
+const { DeltaTracker } = require('./stateDelta');
+const { isValidViewport, createInterestFilter } = require('./interestArea');
+const { VERSION: STATE_CODEC_VERSION, StateEncoder } = require('../shared/stateCodec');
+
+function setupSocketHandlers(io, roomManager, profileStore, roleStore, rotationScheduler, banStore) {
+  // Count and size of the gameStateUpdates sent, per room (for /metrics)
+  const broadcastStats = new Map();
+
+  // Delta state of the gameStateUpdates sent to a socket. Every socket has
+  // its own, as it only receives the bodies in its interest area.
+  const getDeltaTracker = (socket) => {
+    if (!socket.data.deltaTracker) {
+      socket.data.deltaTracker = new DeltaTracker();
+    }
+    return socket.data.deltaTracker;
+  };
+
+  const getRoomSockets = (room) => {
+    const socketIds = io.sockets.adapter.rooms.get(room.id) || new Set();
+    return Array.from(socketIds).map(socketId => io.sockets.sockets.get(socketId)).filter(Boolean);
+  };
+
+  // Full game state for one socket, its next update is a keyframe
+  const sendGameState = (socket, room) => {
+    getDeltaTracker(socket).reset();
+    socket.emit('gameState', room.gameLogic.getGameState());
+  };
+
+  // Broadcast a level change with the full game state, which carries the
+  // static geometry that delta updates leave out. reason tells clients why
+  // the level changed: 'manual', 'completed', 'campaign', 'timeLimit' or 'idle'.
+  const broadcastLevelLoaded = (room, levelName, levelData, reason) => {
+    getRoomSockets(room).forEach(socket => getDeltaTracker(socket).reset());
+    io.to(room.id).emit('levelLoaded', {
+      levelName,
+      levelData,
+      reason,
+      gameState: room.gameLogic.getGameState(),
+      campaign: room.getCampaignProgress(),
+      rotation: rotationScheduler.levelLoaded(room)
+    });
+  };
+
+  // Load a level into a room and send it to everyone there, returns the level data or null
+  const loadRoomLevel = (room, levelName, reason = 'manual') => {
+    const levelData = room.loadLevel(levelName);
+    if (levelData) {
+      broadcastLevelLoaded(room, levelName, levelData, reason);
+    }
+    return levelData;
+  };
+
+  const broadcastCampaignProgress = (room) => {
+    io.to(room.id).emit('campaignProgress', room.getCampaignProgress());
+  };
+
+  // Play a campaign in a room from its first level, returns the level data
+  // or null if none of its levels could be loaded
+  const playCampaign = (room, campaign) => {
+    const levelData = room.startCampaign(campaign);
+    if (levelData) {
+      broadcastLevelLoaded(room, room.currentLevelName, levelData, 'campaign');
+    }
+    broadcastCampaignProgress(room);
+    return levelData;
+  };
+
+  const stopCampaign = (room) => {
+    if (!room.campaignRunner) return;
+
+    room.stopCampaign();
+    rotationScheduler.levelLoaded(room);
+    broadcastCampaignProgress(room);
+  };
+
+  // Move a room on to the next level of its rotation pool, trying the
+  // candidates in order until one loads
+  rotationScheduler.on('rotate', ({ room, reason }) => {
+    const loaded = rotationScheduler.getCandidates(room)
+      .some(levelName => loadRoomLevel(room, levelName, reason));
+
+    if (!loaded) {
+      // Wait for another full period before trying again
+      console.error(`Rotation in room ${room.id} found no level to load`);
+      room.levelLoadedAt = Date.now();
+      room.gameLogic.lastInputAt = Date.now();
+    }
+  });
+
+  // Event payloads come from any client, also ones without a session
+  const isPayload = (data) => data !== null && typeof data === 'object';
+
+  // Check a socket's session role, reporting refusals to the client
+  const requirePermission = (socket, permission) => {
+    if (roleStore.hasPermission(socket.data.session, permission)) {
+      return true;
+    }
+    socket.emit('error', { message: 'Permission denied' });
+    return false;
+  };
+
+  // Wire game events of every room to its Socket.io room
+  const setupRoomHandlers = (room) => {
+    broadcastStats.set(room.id, { messages: 0, bytes: 0, lastBytes: 0 });
+
+    // Listen for loadNextLevel events from gameLogic (sent when the
+    // intermission ends). A running campaign decides the next level, otherwise
+    // the goal's nextLevel (or the rotation's pick, see RotationScheduler) is
+    // loaded; without one the current level is replayed.
+    room.gameLogic.on('loadNextLevel', (nextLevelName) => {
+      if (room.campaignRunner) {
+        const { campaign } = room.campaignRunner;
+        const levelData = room.advanceCampaign();
+        if (levelData) {
+          broadcastLevelLoaded(room, room.currentLevelName, levelData, 'completed');
+          broadcastCampaignProgress(room);
+          return;
+        }
+
+        console.log(`Campaign completed in room ${room.id}: ${campaign.id}`);
+        io.to(room.id).emit('campaignCompleted', { campaignId: campaign.id, title: campaign.title });
+        broadcastCampaignProgress(room);
+      }
+
+      if (nextLevelName && loadRoomLevel(room, nextLevelName, 'completed')) return;
+
+      if (nextLevelName) {
+        console.error(`Next level not found: ${nextLevelName}`);
+      }
+      if (room.currentLevelName) {
+        loadRoomLevel(room, room.currentLevelName, 'completed');
+      }
+    });
+
+    // Level lifecycle notifications
+    room.gameLogic.on('levelCompleted', (data) => {
+      console.log(`Level completed in room ${room.id}: ${room.currentLevelName}`);
+      io.to(room.id).emit('levelCompleted', { levelName: room.currentLevelName, ...data });
+    });
+
+    room.gameLogic.on('intermission', (data) => {
+      io.to(room.id).emit('intermission', data);
+    });
+
+    room.gameLogic.on('levelStateChanged', (status) => {
+      io.to(room.id).emit('levelState', status);
+    });
+
+    // Physics tuned from the admin panel: clients predict and draw with the new values
+    room.gameLogic.on('physicsChanged', (physics) => {
+      io.to(room.id).emit('physicsChanged', physics);
+    });
+
+    // Persist XP and level changes to the player's profile
+    room.gameLogic.on('playerProgress', ({ player, xpGained }) => {
+      if (player.userId) {
+        profileStore.recordProgress(player.userId, {
+          xp: player.xp,
+          level: player.level,
+          xpGained
+        });
+      }
+    });
+  };
+
+  // Remove a player's UFO, saving their profile first
+  const despawnPlayer = (room, socketId) => {
+    const player = room.gameLogic.players.get(socketId);
+    if (!player) return;
+
+    if (player.userId) {
+      profileStore.endSession(player.userId, {
+        xp: player.xp,
+        level: player.level,
+        playTimeMs: Date.now() - player.joinedAt
       });
-    } else {
-      console.error(`Next level not found: ${nextLevelName}`);
     }
+    room.gameLogic.removePlayer(socketId);
+  };
+
+  roomManager.rooms.forEach(setupRoomHandlers);
+  roomManager.on('roomCreated', setupRoomHandlers);
+
+  // Kick everyone out of a room that is being closed
+  roomManager.on('roomRemoved', (room) => {
+    broadcastStats.delete(room.id);
+    Array.from(room.gameLogic.players.keys()).forEach(socketId => despawnPlayer(room, socketId));
+    io.to(room.id).emit('roomClosed', { roomId: room.id });
+    io.in(room.id).socketsLeave(room.id);
+    io.sockets.sockets.forEach(socket => {
+      if (socket.data.roomId === room.id) {
+        socket.data.roomId = null;
+      }
+    });
   });
 
+  // Disconnect a socket (admin action), telling the client why. Returns
+  // false if the socket is not connected.
+  const kickPlayer = (socketId, data = {}) => {
+    const socket = io.sockets.sockets.get(socketId);
+    if (!socket) return false;
+
+    console.log(`Kicking ${socketId}${data.reason ? `: ${data.reason}` : ''}`);
+    socket.emit('kicked', data);
+    socket.disconnect(true);
+    return true;
+  };
+
+  // Disconnect every socket logged in as a user, returns how many were kicked
+  const kickUser = (userId, data = {}) => {
+    const sockets = Array.from(io.sockets.sockets.values())
+      .filter(socket => socket.data.session && String(socket.data.session.userId) === String(userId));
+    sockets.forEach(socket => kickPlayer(socket.id, data));
+    return sockets.length;
+  };
+
+  // Resolve the room a socket currently belongs to
+  const getSocketRoom = (socket) => {
+    return socket.data.roomId ? roomManager.getRoom(socket.data.roomId) : null;
+  };
+
+  const broadcastSpectatorCount = (room) => {
+    io.to(room.id).emit('spectatorCount', { count: room.spectators.size });
+  };
+
+  // Move a socket into a room, leaving (and despawning from) the previous one
+  const joinRoom = (socket, roomId) => {
+    const room = roomManager.getRoom(roomId || RoomManager.DEFAULT_ROOM_ID);
+    if (!room) {
+      socket.emit('error', { message: 'Room not found' });
+      return null;
+    }
+
+    if (socket.data.roomId !== room.id) {
+      leaveRoom(socket);
+      socket.join(room.id);
+      socket.data.roomId = room.id;
+    }
+
+    return room;
+  };
+
+  const leaveRoom = (socket) => {
+    const room = getSocketRoom(socket);
+    if (!room) return;
+
+    if (room.gameLogic.players.has(socket.id)) {
+      despawnPlayer(room, socket.id);
+
+      // Broadcast player left to other players
+      socket.to(room.id).emit('playerLeft', {
+        playerId: socket.id
+      });
+    }
+
+    if (room.spectators.delete(socket.id)) {
+      socket.to(room.id).emit('spectatorCount', { count: room.spectators.size });
+    }
+
+    socket.leave(room.id);
+    socket.data.roomId = null;
+  };
+
   io.on('connection', (socket) => {
     console.log('Player connected:', socket.id);
 
+    // Encoding of this socket's gameStateUpdates, asked for in the handshake
+    // (auth: { stateEncoding: 'binary', stateCodecVersion }); JSON otherwise
+    const auth = socket.handshake.auth || {};
+    const binary = auth.stateEncoding === 'binary' && auth.stateCodecVersion === STATE_CODEC_VERSION;
+    socket.data.stateEncoder = binary ? new StateEncoder() : null;
+    socket.emit('stateEncoding', { encoding: binary ? 'binary' : 'json', version: STATE_CODEC_VERSION });
+
     // Handle player login
+    // The player's identity comes from the session verified on connection,
+    // the client only chooses the room
     socket.on('login', (data) => {
-      const { username, userId } = data;
-      const player = gameLogic.addPlayer(socket.id, username, userId);
-      
-      socket.emit('loginSuccess', player);
-      socket.broadcast.emit('playerJoined', player);
-      
+      const session = socket.data.session;
+      if (!session) {
+        socket.emit('error', { message: 'Not logged in' });
+        return;
+      }
+
+      if (!requirePermission(socket, 'play')) return;
+
+      const ban = banStore.getBan(session.userId);
+      if (ban) {
+        socket.emit('error', {
+          message: `You are banned until ${new Date(ban.expiresAt).toLocaleString()}${ban.reason ? `: ${ban.reason}` : ''}`
+        });
+        return;
+      }
+
+      const { username, userId } = session;
+      const room = joinRoom(socket, data && data.roomId);
+      if (!room) return;
+
+      // Logging in again replaces the existing UFO
+      despawnPlayer(room, socket.id);
+
+      // A spectator joining the game stops counting as one
+      const wasSpectating = room.spectators.delete(socket.id);
+
+      // Restore saved XP and level
+      const profile = userId ? profileStore.startSession(userId, username) : null;
+      const player = room.gameLogic.addPlayer(socket.id, username, userId, profile || {});
+
+      socket.emit('loginSuccess', {
+        ...player,
+        roomId: room.id,
+        role: roleStore.getRole(session),
+        permissions: roleStore.getPermissions(session)
+      });
+      socket.to(room.id).emit('playerJoined', player);
+
       // Send current game state to new player
-      socket.emit('gameState', gameLogic.getGameState());
+      sendGameState(socket, room);
+      socket.emit('campaignProgress', room.getCampaignProgress());
+      if (wasSpectating) {
+        broadcastSpectatorCount(room);
+      } else {
+        socket.emit('spectatorCount', { count: room.spectators.size });
+      }
+    });
+
+    // Watch a room as a spectator: state, chat and the spectator count, but
+    // no UFO. Players who spectate give up their UFO. No session is needed.
+    socket.on('spectate', (data) => {
+      const room = joinRoom(socket, data && data.roomId);
+      if (!room) return;
+
+      if (room.gameLogic.players.has(socket.id)) {
+        despawnPlayer(room, socket.id);
+        socket.to(room.id).emit('playerLeft', { playerId: socket.id });
+      }
+      room.spectators.add(socket.id);
+
+      sendGameState(socket, room);
+      socket.emit('campaignProgress', room.getCampaignProgress());
+      broadcastSpectatorCount(room);
+    });
+
+    // Watch a room without spawning a UFO (used by the stream overlay)
+    socket.on('joinRoom', (data) => {
+      const room = joinRoom(socket, data && data.roomId);
+      if (!room) return;
+
+      sendGameState(socket, room);
+      socket.emit('campaignProgress', room.getCampaignProgress());
     });
 
     // Handle player input (WASD keys)
     socket.on('playerInput', (input) => {
-      gameLogic.updatePlayerInput(socket.id, input);
+      const room = getSocketRoom(socket);
+      if (room) {
+        room.gameLogic.updatePlayerInput(socket.id, input);
+      }
+    });
+
+    // Camera rectangle of the client in world coordinates, for interest
+    // management; null receives every body again
+    socket.on('viewport', (viewport) => {
+      if (viewport === null) {
+        socket.data.viewport = null;
+      } else if (isValidViewport(viewport)) {
+        const { x, y, width, height } = viewport;
+        socket.data.viewport = { x, y, width, height };
+      }
     });
 
     // Handle beam activation
     socket.on('beamToggle', (data) => {
+      const room = getSocketRoom(socket);
+      if (!room || !room.gameLogic.players.has(socket.id) || !isPayload(data)) return;
+
       const { active } = data;
-      gameLogic.activateBeam(socket.id, active);
-      
+      room.gameLogic.activateBeam(socket.id, active);
+
       // Broadcast beam state to other players
-      socket.broadcast.emit('playerBeam', {
+      socket.to(room.id).emit('playerBeam', {
         playerId: socket.id,
         active
       });
@@ -54,36 +386,46 @@ function setupSocketHandlers(io, gameLogic) {
 
     // Handle beam interaction
     socket.on('beamInteraction', (data) => {
+      const room = getSocketRoom(socket);
+      if (!room || !room.gameLogic.players.has(socket.id) || !isPayload(data)) return;
+
       const { targetX, targetY } = data;
-      gameLogic.handleBeamInteraction(socket.id, targetX, targetY);
-    });
-
-    // Handle level loading
-    socket.on('loadLevel', (levelName) => {
-      const fs = require('fs');
-      const path = require('path');
-      const levelPath = path.join(__dirname, '../levels', `${levelName}.json`);
-      
-      if (fs.existsSync(levelPath)) {
-        const levelData = JSON.parse(fs.readFileSync(levelPath, 'utf8'));
-        gameLogic.loadLevel(levelData);
-        
-        // Broadcast level change to all players
-        io.emit('levelLoaded', {
-          levelName,
-          levelData
-        });
-      } else {
+      room.gameLogic.handleBeamInteraction(socket.id, targetX, targetY);
+    });
+
+    // Handle level loading (accepts a level name or { levelName, roomId })
+    socket.on('loadLevel', (data) => {
+      if (!requirePermission(socket, 'loadLevel')) return;
+
+      const levelName = typeof data === 'string' ? data : data && data.levelName;
+      const room = (data && data.roomId)
+        ? roomManager.getRoom(data.roomId)
+        : getSocketRoom(socket) || roomManager.getDefaultRoom();
+
+      if (!room) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+
+      if (!loadRoomLevel(room, levelName)) {
         socket.emit('error', { message: 'Level not found' });
+        return;
       }
+
+      // Picking a level by hand ends a running campaign
+      stopCampaign(room);
     });
 
     // Handle manual emote spawn (for testing)
     socket.on('spawnTestEmote', (data) => {
-      const { emoteName } = data;
-      // This would typically be restricted to admins/streamers
-      gameLogic.spawnEmote(
-        `https://static-cdn.jtvnw.net/emoticons/v2/25/default/dark/1.0`, 
+      const room = getSocketRoom(socket);
+      if (!room) return;
+
+      if (!requirePermission(socket, 'spawnTestEmote')) return;
+
+      const { emoteName } = isPayload(data) ? data : {};
+      room.gameLogic.spawnEmote(
+        `https://static-cdn.jtvnw.net/emoticons/v2/25/default/dark/1.0`,
         emoteName || 'Kappa'
       );
     });
@@ -91,36 +433,68 @@ function setupSocketHandlers(io, gameLogic) {
     // Handle disconnect
     socket.on('disconnect', () => {
       console.log('Player disconnected:', socket.id);
-      gameLogic.removePlayer(socket.id);
-      
-      // Broadcast player left to other players
-      socket.broadcast.emit('playerLeft', {
-        playerId: socket.id
-      });
+      leaveRoom(socket);
     });
 
     // Handle chat messages (optional feature)
     socket.on('chatMessage', (data) => {
-      const { message } = data;
-      const player = gameLogic.players.get(socket.id);
-      
-      if (player) {
-        // Broadcast chat message to all players
-        io.emit('chatMessage', {
-          playerId: socket.id,
-          username: player.username,
-          message,
-          timestamp: Date.now()
-        });
-      }
+      const room = getSocketRoom(socket);
+      const player = room && room.gameLogic.players.get(socket.id);
+      if (!player || !isPayload(data)) return;
+
+      // Broadcast chat message to all players in the room
+      io.to(room.id).emit('chatMessage', {
+        playerId: socket.id,
+        username: player.username,
+        message: data.message,
+        timestamp: Date.now()
+      });
     });
   });
 
-  // Broadcast game state updates periodically
-  setInterval(() => {
-    const gameState = gameLogic.getGameState();
-    io.emit('gameStateUpdate', gameState);
+  // Send delta-compressed game state updates periodically to every socket of
+  // each room, with the bodies in the socket's interest area
+  const broadcastInterval = setInterval(() => {
+    roomManager.rooms.forEach(room => {
+      const sockets = getRoomSockets(room);
+      if (sockets.length === 0) return;
+
+      const dynamicState = room.gameLogic.getDynamicState();
+      const stats = broadcastStats.get(room.id);
+      stats.lastBytes = 0;
+
+      sockets.forEach(socket => {
+        const visible = createInterestFilter(socket.data.viewport, socket.id);
+        const update = getDeltaTracker(socket).next(dynamicState, visible);
+        const { stateEncoder } = socket.data;
+        const message = stateEncoder ? stateEncoder.encode(update) : update;
+        socket.emit('gameStateUpdate', message);
+
+        const bytes = stateEncoder ? message.length : Buffer.byteLength(JSON.stringify(update));
+        stats.lastBytes += bytes;
+        stats.bytes += bytes;
+        stats.messages++;
+      });
+    });
   }, 100); // 10 FPS for game state updates
+
+  // Broadcast stats of a room, zeros for rooms without broadcasts yet
+  const getBroadcastStats = (roomId) => {
+    return broadcastStats.get(roomId) || { messages: 0, bytes: 0, lastBytes: 0 };
+  };
+
+  // Server shutdown: stop broadcasting, tell every client and save the
+  // progress of every player
+  const shutdown = () => {
+    clearInterval(broadcastInterval);
+    io.emit('serverShutdown', { message: 'Server is restarting, the game will be back shortly' });
+
+    roomManager.rooms.forEach(room => {
+      Array.from(room.gameLogic.players.keys()).forEach(socketId => despawnPlayer(room, socketId));
+    });
+  };
+
+  return { loadRoomLevel, playCampaign, stopCampaign, kickPlayer, kickUser, getBroadcastStats, shutdown };
 }
 
 module.exports = { setupSocketHandlers };
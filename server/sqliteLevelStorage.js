@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+
+// Level storage in an embedded SQLite database (better-sqlite3, an optional
+// dependency). Levels are stored with their description and size so listing
+// and searching never reads level data; revisions live in their own table.
+// On first start an empty database imports the levels directory.
+// See levelStorage.js for the interface.
+class SqliteLevelStorage {
+  constructor(dbPath, options = {}) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('LEVEL_STORAGE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS levels (
+        name TEXT PRIMARY KEY,
+        description TEXT NOT NULL DEFAULT '',
+        data TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        modified INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS revisions (
+        level_name TEXT NOT NULL,
+        id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        author TEXT,
+        message TEXT NOT NULL DEFAULT '',
+        created_at INTEGER NOT NULL,
+        data TEXT,
+        PRIMARY KEY (level_name, id)
+      );
+    `);
+
+    if (options.importFrom) {
+      this.importDirectory(options.importFrom);
+    }
+  }
+
+  // Copy <name>.json files and their revisions (.history/<name>/<id>.json)
+  // into an empty database (files are left in place)
+  importDirectory(levelsDir) {
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM levels').get();
+    if (count > 0 || !fs.existsSync(levelsDir)) {
+      return;
+    }
+
+    const files = fs.readdirSync(levelsDir).filter(file => file.endsWith('.json'));
+    const insert = this.db.prepare(
+      'INSERT INTO levels (name, description, data, size, modified) VALUES (?, ?, ?, ?, ?)'
+    );
+
+    let revisionCount = 0;
+    this.db.transaction(() => {
+      files.forEach(file => {
+        const filePath = path.join(levelsDir, file);
+        const data = fs.readFileSync(filePath, 'utf8');
+        insert.run(file.slice(0, -'.json'.length), describe(data), data, Buffer.byteLength(data),
+          Math.round(fs.statSync(filePath).mtimeMs));
+      });
+      revisionCount = this.importHistory(path.join(levelsDir, '.history'));
+    })();
+
+    console.log(`Imported ${files.length} levels and ${revisionCount} revisions from ${levelsDir} into the level database`);
+  }
+
+  // Revisions of the file storage, with their ids; returns how many were imported
+  importHistory(historyDir) {
+    if (!fs.existsSync(historyDir)) {
+      return 0;
+    }
+
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO revisions (level_name, id, action, author, message, created_at, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    let count = 0;
+
+    fs.readdirSync(historyDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => {
+        const levelDir = path.join(historyDir, entry.name);
+        fs.readdirSync(levelDir)
+          .filter(file => /^\d+\.json$/.test(file))
+          .forEach(file => {
+            try {
+              const { level, ...revision } = JSON.parse(fs.readFileSync(path.join(levelDir, file), 'utf8'));
+              insert.run(entry.name, revision.id, revision.action, revision.author, revision.message || '',
+                revision.createdAt, level === null || level === undefined ? null : JSON.stringify(level));
+              count++;
+            } catch (error) {
+              console.error(`Skipping unreadable revision ${entry.name}/${file}:`, error.message);
+            }
+          });
+      });
+
+    return count;
+  }
+
+  list() {
+    return this.db.prepare('SELECT name, modified, size FROM levels ORDER BY name').all()
+      .map(toLevelInfo);
+  }
+
+  // Levels whose name or description contains the query (case-insensitive)
+  search(query) {
+    const pattern = `%${query.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+    return this.db.prepare(`
+      SELECT name, modified, size FROM levels
+      WHERE name LIKE ? ESCAPE '\\' OR description LIKE ? ESCAPE '\\'
+      ORDER BY name
+    `).all(pattern, pattern).map(toLevelInfo);
+  }
+
+  exists(name) {
+    return !!this.db.prepare('SELECT 1 FROM levels WHERE name = ?').get(name);
+  }
+
+  read(name) {
+    const row = this.db.prepare('SELECT data FROM levels WHERE name = ?').get(name);
+    return row ? row.data : null;
+  }
+
+  write(name, levelData) {
+    const data = JSON.stringify(levelData, null, 2);
+    this.db.prepare(`
+      INSERT INTO levels (name, description, data, size, modified) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (name) DO UPDATE SET
+        description = excluded.description, data = excluded.data,
+        size = excluded.size, modified = excluded.modified
+    `).run(name, levelData.description || '', data, Buffer.byteLength(data), Date.now());
+  }
+
+  remove(name) {
+    this.db.prepare('DELETE FROM levels WHERE name = ?').run(name);
+  }
+
+  // Revision metadata, newest first
+  listRevisions(name) {
+    return this.db.prepare(`
+      SELECT id, level_name, action, author, message, created_at FROM revisions
+      WHERE level_name = ? ORDER BY id DESC
+    `).all(name).map(toRevision);
+  }
+
+  // Revision with its level data, null if there is no such revision
+  readRevision(name, id) {
+    const row = this.db.prepare('SELECT * FROM revisions WHERE level_name = ? AND id = ?').get(name, id);
+    if (!row) {
+      return null;
+    }
+    return { ...toRevision(row), level: row.data === null ? null : JSON.parse(row.data) };
+  }
+
+  // Store a revision ({ levelName, action, author, message, createdAt, level })
+  // under the next id, returns its metadata
+  addRevision(name, revision) {
+    return this.db.transaction(() => {
+      const { lastId } = this.db.prepare(
+        'SELECT COALESCE(MAX(id), 0) AS lastId FROM revisions WHERE level_name = ?'
+      ).get(name);
+      const { level, ...metadata } = { id: lastId + 1, ...revision };
+
+      this.db.prepare(`
+        INSERT INTO revisions (level_name, id, action, author, message, created_at, data)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(name, metadata.id, metadata.action, metadata.author, metadata.message || '',
+        metadata.createdAt, level === null ? null : JSON.stringify(level));
+      return metadata;
+    })();
+  }
+
+  // Names of all levels with a history, including deleted ones
+  listHistoryNames() {
+    return this.db.prepare('SELECT DISTINCT level_name FROM revisions ORDER BY level_name').all()
+      .map(row => row.level_name);
+  }
+}
+
+// Description of a stored level for the search index ('' if unreadable)
+function describe(data) {
+  try {
+    const { description } = JSON.parse(data);
+    return typeof description === 'string' ? description : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+function toLevelInfo(row) {
+  return { name: row.name, modified: new Date(row.modified), size: row.size };
+}
+
+function toRevision(row) {
+  return {
+    id: row.id,
+    levelName: row.level_name,
+    action: row.action,
+    author: row.author,
+    message: row.message,
+    createdAt: row.created_at
+  };
+}
+
+module.exports = SqliteLevelStorage;
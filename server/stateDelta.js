@@ -0,0 +1,101 @@
+// Builds delta-compressed gameStateUpdate payloads from GameLogic.getDynamicState().
+//
+// A payload carries the dynamic bodies keyed by id:
+//   { keyframe, seq, tick, serverTime, players: {id: record}, marbles, emotes, levelObjects,
+//     removed, entered, left }
+// Keyframes contain every dynamic body the receiver sees and replace the
+// client's copy; deltas only contain records that changed since the previous
+// payload. removed, entered and left list ids per collection: bodies that
+// disappeared from the world, and bodies that came into or went out of the
+// receiver's interest area (see interestArea.js). Static level geometry is
+// never included, it is sent once with the full game state (gameState /
+// levelLoaded).
+
+const COLLECTIONS = ['players', 'marbles', 'emotes', 'levelObjects'];
+const DEFAULT_KEYFRAME_INTERVAL = 20; // Every 20 updates (2 seconds at 10 FPS)
+
+// Round positions and angles so sub-pixel jitter doesn't count as a change
+function quantizeRecord(record) {
+  const quantized = { ...record };
+  if (typeof quantized.x === 'number') quantized.x = Math.round(quantized.x * 10) / 10;
+  if (typeof quantized.y === 'number') quantized.y = Math.round(quantized.y * 10) / 10;
+  if (typeof quantized.angle === 'number') quantized.angle = Math.round(quantized.angle * 1000) / 1000;
+  if (typeof quantized.vx === 'number') quantized.vx = Math.round(quantized.vx * 1000) / 1000;
+  if (typeof quantized.vy === 'number') quantized.vy = Math.round(quantized.vy * 1000) / 1000;
+  return quantized;
+}
+
+class DeltaTracker {
+  constructor(options = {}) {
+    this.keyframeInterval = options.keyframeInterval || DEFAULT_KEYFRAME_INTERVAL;
+    this.seq = 0;
+    this.reset();
+  }
+
+  // Forget what was sent, the next payload will be a keyframe
+  reset() {
+    this.lastSent = null;
+  }
+
+  // visible(collection, record) tells whether the receiver is interested in
+  // a body, by default it gets every body
+  next(dynamicState, visible = () => true) {
+    this.seq++;
+    const keyframe = !this.lastSent || this.seq % this.keyframeInterval === 0;
+    const payload = {
+      keyframe,
+      seq: this.seq,
+      tick: dynamicState.tick,
+      serverTime: dynamicState.serverTime,
+      removed: {},
+      entered: {},
+      left: {}
+    };
+    const sent = {};
+
+    COLLECTIONS.forEach(collection => {
+      // Signatures of the records sent last time and the ids of every body then
+      const last = this.lastSent ? this.lastSent[collection] : null;
+      const previous = keyframe || !last ? null : last.records;
+      const existing = new Set();
+      const current = new Map();
+      const changed = {};
+      const entered = [];
+
+      (dynamicState[collection] || []).forEach(record => {
+        const id = String(record.id);
+        existing.add(id);
+        if (!visible(collection, record)) return;
+
+        const quantized = quantizeRecord(record);
+        const signature = JSON.stringify(quantized);
+        current.set(id, signature);
+
+        if (!previous || previous.get(id) !== signature) {
+          changed[record.id] = quantized;
+        }
+        if (last && !last.records.has(id) && last.existing.has(id)) {
+          entered.push(record.id);
+        }
+      });
+
+      payload[collection] = changed;
+      sent[collection] = { records: current, existing };
+
+      if (last) {
+        // Removals are reported for bodies out of view too: clients keep the
+        // static copy of level objects they no longer see
+        const removed = Array.from(last.existing).filter(id => !existing.has(id));
+        const left = Array.from(last.records.keys()).filter(id => existing.has(id) && !current.has(id));
+        if (removed.length > 0) payload.removed[collection] = removed;
+        if (left.length > 0) payload.left[collection] = left;
+      }
+      if (entered.length > 0) payload.entered[collection] = entered;
+    });
+
+    this.lastSent = sent;
+    return payload;
+  }
+}
+
+module.exports = { DeltaTracker };
@@ -2,18 +2,26 @@ const tmi = require('tmi.js');
 const axios = require('axios');
 
 class TwitchChat {
-  constructor(gameLogic) {
+  constructor(gameLogic, channel = null) {
     this.gameLogic = gameLogic;
+    this.channel = channel;
     this.client = null;
     this.emoteCache = new Map();
     this.lastEmoteSpawn = 0;
     this.emoteSpawnCooldown = 0.1; // 0.1 seconds between emote spawns
+
+    // Health numbers for /metrics, kept across reconnects
+    this.stats = {
+      messages: 0,
+      emotesDroppedCooldown: 0,
+      emotesDroppedUnavailable: 0 // The emote image could not be verified
+    };
     
     this.initializeChat();
   }
 
   initializeChat() {
-    if (!process.env.TWITCH_CHANNEL) {
+    if (!this.channel) {
       console.log('No Twitch channel specified, skipping chat integration');
       return;
     }
@@ -23,7 +31,7 @@ class TwitchChat {
         username: process.env.TWITCH_BOT_USERNAME || 'justinfan12345',
         password: process.env.TWITCH_BOT_OAUTH_TOKEN || 'oauth:'
       },
-      channels: [process.env.TWITCH_CHANNEL]
+      channels: [this.channel]
     };
 
     this.client = new tmi.client(opts);
@@ -47,11 +55,13 @@ class TwitchChat {
 
   async onMessage(target, context, msg, self) {
     if (self) return; // Ignore messages from the bot itself
+    this.stats.messages++;
 
     // Check for emotes in the message
     if (context.emotes) {
       const now = Date.now();
       if (now - this.lastEmoteSpawn < this.emoteSpawnCooldown) {
+        this.stats.emotesDroppedCooldown++;
         return; // Cooldown active
       }
 
@@ -103,6 +113,7 @@ class TwitchChat {
           this.emoteCache.set(emoteId, emoteUrl);
         } catch (error) {
           console.log(`Failed to verify emote ${emoteId}:`, error.message);
+          this.stats.emotesDroppedUnavailable++;
           return;
         }
       }
@@ -146,8 +157,7 @@ class TwitchChat {
       this.client = null;
     }
 
-    // Update environment variable for future reference
-    process.env.TWITCH_CHANNEL = newChannel;
+    this.channel = newChannel;
 
     // Reinitialize with new channel
     this.initializeChat();
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+// World snapshots keep the live game across a restart: on shutdown the level
+// and body positions of every room are written to a file, and on the next
+// start rooms are restored from it if it is recent enough.
+const SNAPSHOT_VERSION = 1;
+
+function writeSnapshot(filePath, roomManager) {
+  const snapshot = {
+    version: SNAPSHOT_VERSION,
+    savedAt: Date.now(),
+    rooms: Array.from(roomManager.rooms.values())
+      .filter(room => room.levelName)
+      .map(room => room.getSnapshot())
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+    fs.renameSync(tempPath, filePath);
+    console.log(`World snapshot saved (${snapshot.rooms.length} rooms)`);
+    return true;
+  } catch (error) {
+    console.error('Failed to save world snapshot:', error.message);
+    return false;
+  }
+}
+
+// The saved snapshot, or null if there is none or it is older than maxAgeMs
+function readSnapshot(filePath, maxAgeMs) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.rooms)) {
+      console.log('Ignoring world snapshot with an unknown format');
+      return null;
+    }
+
+    const age = Date.now() - snapshot.savedAt;
+    if (!(age <= maxAgeMs)) {
+      console.log(`Ignoring world snapshot from ${Math.round(age / 1000)}s ago`);
+      return null;
+    }
+    return snapshot;
+  } catch (error) {
+    console.error('Failed to read world snapshot:', error.message);
+    return null;
+  }
+}
+
+// Remove the snapshot once restored, so a crash later does not restore it again
+function removeSnapshot(filePath) {
+  try {
+    fs.rmSync(filePath, { force: true });
+  } catch (error) {
+    console.error('Failed to remove world snapshot:', error.message);
+  }
+}
+
+module.exports = { writeSnapshot, readSnapshot, removeSnapshot };
@@ -0,0 +1,340 @@
+// Level file schema shared by the server (validated on save and on load) and
+// the level editor. validateLevel() reports every problem with the path of
+// the offending field, e.g. "objects[3].radius"; migrateLevel() upgrades
+// levels written by older versions step by step to CURRENT_VERSION.
+// Loaded with require() on the server and as a plain <script>
+// (window.LevelSchema) in the browser.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LevelSchema = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const CURRENT_VERSION = '1.1';
+
+  const SHAPES = ['rectangle', 'circle'];
+  const OBJECT_PROPERTIES = ['spawnpoint', 'playerspawn', 'emotespawn', 'goal', 'teleporter'];
+  const CONNECTION_TYPES = ['revolute', 'rope', 'spring', 'distance'];
+
+  // World size of levels that do not declare one (the 1920x1080 game screen),
+  // and the range a declared size must be in
+  const DEFAULT_WORLD = { width: 1920, height: 1080 };
+  const MIN_WORLD_SIZE = 100;
+  const MAX_WORLD_SIZE = 20000;
+
+  // Bodies leaving a level's bounds get the behavior of the edge they cross.
+  // Without declared bounds the bounds are the world plus BOUNDS_MARGIN on
+  // every side, and every edge respawns.
+  const EDGES = ['left', 'top', 'right', 'bottom'];
+  const EDGE_BEHAVIORS = ['respawn', 'destroy', 'wrap'];
+  const BOUNDS_MARGIN = 120;
+
+  // Rename repeated object ids (older editors could create them); references
+  // to a repeated id keep pointing at its first object
+  function renameDuplicateIds(objects) {
+    const seenIds = new Set(objects.map(obj => obj.id));
+    const usedIds = new Set();
+
+    return objects.map(obj => {
+      if (!usedIds.has(obj.id)) {
+        usedIds.add(obj.id);
+        return obj;
+      }
+
+      let suffix = 2;
+      while (seenIds.has(`${obj.id}_${suffix}`)) suffix++;
+      const id = `${obj.id}_${suffix}`;
+      seenIds.add(id);
+      usedIds.add(id);
+      return { ...obj, id };
+    });
+  }
+
+  // Each migration upgrades a level from the version it is keyed by
+  const MIGRATIONS = {
+    // 1.1 makes the optional object fields explicit and object ids unique, so
+    // code reading levels can rely on properties arrays, a connections list
+    // and unambiguous references
+    '1.0': (level) => {
+      // Malformed object lists are left for validation to report
+      if (!Array.isArray(level.objects) || level.objects.some(obj => !obj || typeof obj !== 'object')) {
+        return { ...level, version: '1.1' };
+      }
+
+      return {
+        ...level,
+        version: '1.1',
+        backgroundImage: level.backgroundImage || '',
+        connections: level.connections || [],
+        objects: renameDuplicateIds(level.objects.map(obj => ({
+          ...obj,
+          rotation: obj.rotation ?? 0,
+          isStatic: obj.isStatic ?? false,
+          isSolid: obj.isSolid ?? true,
+          zIndex: obj.zIndex ?? 0,
+          backgroundImage: obj.backgroundImage ?? '',
+          properties: obj.properties || []
+        })))
+      };
+    }
+  };
+
+  // Upgrade a level to CURRENT_VERSION, returns a new object (levels without
+  // a version predate versioning and are treated as 1.0)
+  function migrateLevel(level) {
+    let migrated = { ...level, version: level.version || '1.0' };
+
+    while (migrated.version !== CURRENT_VERSION) {
+      const migration = MIGRATIONS[migrated.version];
+      if (!migration) {
+        throw new Error(`Unsupported level version: ${migrated.version}`);
+      }
+      migrated = migration(migrated);
+    }
+
+    return migrated;
+  }
+
+  function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+
+  function isPoint(value) {
+    return value !== null && typeof value === 'object' && isNumber(value.x) && isNumber(value.y);
+  }
+
+  // { width, height } of a level's world, the default for levels without one
+  function getWorldSize(level) {
+    const world = (level && level.world) || {};
+    return {
+      width: isNumber(world.width) ? world.width : DEFAULT_WORLD.width,
+      height: isNumber(world.height) ? world.height : DEFAULT_WORLD.height
+    };
+  }
+
+  // { left, top, right, bottom, edges: { left, top, right, bottom } } of a
+  // level, declared values completed with the defaults
+  function getBounds(level) {
+    const world = getWorldSize(level);
+    const bounds = (level && level.bounds) || {};
+    const edges = bounds.edges || {};
+    const defaults = {
+      left: -BOUNDS_MARGIN,
+      top: -BOUNDS_MARGIN,
+      right: world.width + BOUNDS_MARGIN,
+      bottom: world.height + BOUNDS_MARGIN
+    };
+
+    const result = { edges: {} };
+    EDGES.forEach(edge => {
+      result[edge] = isNumber(bounds[edge]) ? bounds[edge] : defaults[edge];
+      result.edges[edge] = EDGE_BEHAVIORS.includes(edges[edge]) ? edges[edge] : 'respawn';
+    });
+    return result;
+  }
+
+  // Validate a (migrated) level, returns { valid, errors: [{ path, message }] }
+  function validateLevel(level) {
+    const errors = [];
+    const error = (path, message) => errors.push({ path, message });
+
+    // Optional fields only need checking when present
+    const optional = (obj, key, path, check, message) => {
+      if (obj[key] !== undefined && !check(obj[key])) {
+        error(`${path}${key}`, message);
+      }
+    };
+
+    if (level === null || typeof level !== 'object' || Array.isArray(level)) {
+      error('', 'level must be an object');
+      return { valid: false, errors };
+    }
+
+    optional(level, 'name', '', value => typeof value === 'string', 'must be a string');
+    optional(level, 'description', '', value => typeof value === 'string', 'must be a string');
+    optional(level, 'version', '', value => typeof value === 'string', 'must be a string');
+    optional(level, 'backgroundImage', '', value => typeof value === 'string', 'must be a string');
+
+    if (level.world !== undefined) {
+      if (level.world === null || typeof level.world !== 'object' || Array.isArray(level.world)) {
+        error('world', 'must be an object { width, height }');
+      } else {
+        ['width', 'height'].forEach(key => {
+          const value = level.world[key];
+          if (!isNumber(value) || value < MIN_WORLD_SIZE || value > MAX_WORLD_SIZE) {
+            error(`world.${key}`, `must be a number from ${MIN_WORLD_SIZE} to ${MAX_WORLD_SIZE}`);
+          }
+        });
+      }
+    }
+
+    if (level.bounds !== undefined) {
+      const bounds = level.bounds;
+      if (bounds === null || typeof bounds !== 'object' || Array.isArray(bounds)) {
+        error('bounds', 'must be an object { left, top, right, bottom, edges }');
+      } else {
+        EDGES.forEach(edge => optional(bounds, edge, 'bounds.', isNumber, 'must be a number'));
+
+        const { left, top, right, bottom } = getBounds(level);
+        if (right <= left) {
+          error('bounds.right', 'must be greater than left');
+        }
+        if (bottom <= top) {
+          error('bounds.bottom', 'must be greater than top');
+        }
+
+        if (bounds.edges !== undefined) {
+          if (bounds.edges === null || typeof bounds.edges !== 'object' || Array.isArray(bounds.edges)) {
+            error('bounds.edges', 'must be an object { left, top, right, bottom }');
+          } else {
+            Object.keys(bounds.edges).forEach(edge => {
+              if (!EDGES.includes(edge)) {
+                error(`bounds.edges.${edge}`, `unknown edge, must be one of: ${EDGES.join(', ')}`);
+              } else if (!EDGE_BEHAVIORS.includes(bounds.edges[edge])) {
+                error(`bounds.edges.${edge}`, `must be one of: ${EDGE_BEHAVIORS.join(', ')}`);
+              }
+            });
+          }
+        }
+      }
+    }
+
+    const objectIds = new Set();
+
+    if (!Array.isArray(level.objects)) {
+      error('objects', 'must be an array');
+    } else {
+      level.objects.forEach((obj, index) => {
+        const path = `objects[${index}].`;
+
+        if (obj === null || typeof obj !== 'object') {
+          error(`objects[${index}]`, 'must be an object');
+          return;
+        }
+
+        if (typeof obj.id !== 'string' && !isNumber(obj.id)) {
+          error(`${path}id`, 'must be a string or number');
+        } else if (objectIds.has(obj.id)) {
+          error(`${path}id`, `duplicate id "${obj.id}"`);
+        } else {
+          objectIds.add(obj.id);
+        }
+
+        if (!SHAPES.includes(obj.shape)) {
+          error(`${path}shape`, `must be one of: ${SHAPES.join(', ')}`);
+        }
+        if (!isNumber(obj.x)) error(`${path}x`, 'must be a number');
+        if (!isNumber(obj.y)) error(`${path}y`, 'must be a number');
+
+        if (obj.shape === 'rectangle') {
+          if (!isNumber(obj.width) || obj.width <= 0) error(`${path}width`, 'must be a positive number');
+          if (!isNumber(obj.height) || obj.height <= 0) error(`${path}height`, 'must be a positive number');
+        } else if (obj.shape === 'circle') {
+          if (!isNumber(obj.radius) || obj.radius <= 0) error(`${path}radius`, 'must be a positive number');
+        }
+
+        optional(obj, 'rotation', path, isNumber, 'must be a number');
+        optional(obj, 'zIndex', path, isNumber, 'must be a number');
+        optional(obj, 'isStatic', path, value => typeof value === 'boolean', 'must be a boolean');
+        optional(obj, 'isSolid', path, value => typeof value === 'boolean', 'must be a boolean');
+        ['friction', 'restitution', 'density'].forEach(key => {
+          optional(obj, key, path, value => isNumber(value) && value >= 0, 'must be a non-negative number');
+        });
+        ['color', 'backgroundImage', 'nextLevel', 'teleporterTarget'].forEach(key => {
+          optional(obj, key, path, value => typeof value === 'string', 'must be a string');
+        });
+
+        if (obj.properties !== undefined) {
+          if (!Array.isArray(obj.properties)) {
+            error(`${path}properties`, 'must be an array');
+          } else {
+            obj.properties.forEach((property, propertyIndex) => {
+              if (!OBJECT_PROPERTIES.includes(property)) {
+                error(`${path}properties[${propertyIndex}]`, `must be one of: ${OBJECT_PROPERTIES.join(', ')}`);
+              }
+            });
+          }
+        }
+      });
+
+      // References can only be checked once every id is known
+      level.objects.forEach((obj, index) => {
+        if (obj && typeof obj.teleporterTarget === 'string' && obj.teleporterTarget &&
+            !objectIds.has(obj.teleporterTarget)) {
+          error(`objects[${index}].teleporterTarget`, `unknown object "${obj.teleporterTarget}"`);
+        }
+      });
+    }
+
+    if (level.connections !== undefined) {
+      if (!Array.isArray(level.connections)) {
+        error('connections', 'must be an array');
+      } else {
+        level.connections.forEach((connection, index) => {
+          const path = `connections[${index}].`;
+
+          if (connection === null || typeof connection !== 'object') {
+            error(`connections[${index}]`, 'must be an object');
+            return;
+          }
+
+          if (!CONNECTION_TYPES.includes(connection.type)) {
+            error(`${path}type`, `must be one of: ${CONNECTION_TYPES.join(', ')}`);
+          }
+          ['bodyA', 'bodyB'].forEach(key => {
+            if (!objectIds.has(connection[key])) {
+              error(`${path}${key}`, `unknown object "${connection[key]}"`);
+            }
+          });
+          ['pointA', 'pointB'].forEach(key => {
+            optional(connection, key, path, isPoint, 'must be a point { x, y }');
+          });
+          ['length', 'stiffness', 'damping'].forEach(key => {
+            optional(connection, key, path, value => isNumber(value) && value >= 0, 'must be a non-negative number');
+          });
+        });
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  // Migrate then validate, throws an Error listing every problem
+  function parseLevel(level) {
+    const isObject = level !== null && typeof level === 'object' && !Array.isArray(level);
+    const migrated = isObject ? migrateLevel(level) : level;
+    const result = validateLevel(migrated);
+
+    if (!result.valid) {
+      const error = new Error(`Invalid level: ${formatErrors(result.errors)}`);
+      error.validationErrors = result.errors;
+      throw error;
+    }
+
+    return migrated;
+  }
+
+  function formatErrors(errors) {
+    return errors.map(error => (error.path ? `${error.path} ${error.message}` : error.message)).join('; ');
+  }
+
+  return {
+    CURRENT_VERSION,
+    SHAPES,
+    OBJECT_PROPERTIES,
+    CONNECTION_TYPES,
+    DEFAULT_WORLD,
+    MIN_WORLD_SIZE,
+    MAX_WORLD_SIZE,
+    EDGES,
+    EDGE_BEHAVIORS,
+    BOUNDS_MARGIN,
+    getWorldSize,
+    getBounds,
+    migrateLevel,
+    validateLevel,
+    parseLevel,
+    formatErrors
+  };
+});
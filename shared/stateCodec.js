@@ -0,0 +1,264 @@
+// Compact binary encoding of gameStateUpdate payloads (see server/stateDelta.js),
+// used instead of JSON by sockets that ask for it on connect. Loaded with
+// require() on the server and as a plain <script> (window.StateCodec) in the
+// browser.
+//
+// Layout (little endian):
+//   u8 version, u8 flags (1 = keyframe), u32 seq, u32 tick, f64 serverTime
+//   per collection: u32 count, then per record
+//     id, u8 mask, the numeric fields present in mask (FIELDS), and if the
+//     EXTRAS bit is set a u32-length UTF-8 JSON object of the other fields
+//   per list (removed, entered, left) and collection: u32 count, ids
+//   id: u8 0 + f64 number, or u8 1 + u32-length UTF-8 string
+// Counts and lengths are u32 so no id, value or level is too large for the
+// stream.
+//
+// The other fields (usernames, emote URLs, beam state, ...) rarely change, so
+// the encoder only sends them when they differ from what it sent last for the
+// body; the decoder keeps them and puts them back into every record. Both are
+// per connection and start over on keyframes.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.StateCodec = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const VERSION = 2;
+
+  const COLLECTIONS = ['players', 'marbles', 'emotes', 'levelObjects'];
+  const ID_LISTS = ['removed', 'entered', 'left'];
+
+  // Per-tick numeric fields of each collection and their packed type
+  const FIELDS = {
+    players: [['x', 'f32'], ['y', 'f32'], ['vx', 'f32'], ['vy', 'f32'], ['lastInputSeq', 'u32']],
+    marbles: [['x', 'f32'], ['y', 'f32'], ['angle', 'f32']],
+    emotes: [['x', 'f32'], ['y', 'f32'], ['angle', 'f32']],
+    levelObjects: [['x', 'f32'], ['y', 'f32'], ['angle', 'f32']]
+  };
+  const EXTRAS = 0x80;
+  const KEYFRAME = 1;
+
+  const textEncoder = new TextEncoder();
+  const textDecoder = new TextDecoder();
+
+  class ByteWriter {
+    constructor(size = 1024) {
+      this.bytes = new Uint8Array(size);
+      this.view = new DataView(this.bytes.buffer);
+      this.offset = 0;
+    }
+
+    reserve(length) {
+      if (this.offset + length <= this.bytes.length) return;
+
+      const bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.offset + length));
+      bytes.set(this.bytes);
+      this.bytes = bytes;
+      this.view = new DataView(bytes.buffer);
+    }
+
+    u8(value) { this.reserve(1); this.view.setUint8(this.offset, value); this.offset += 1; }
+    u32(value) { this.reserve(4); this.view.setUint32(this.offset, value, true); this.offset += 4; }
+    f32(value) { this.reserve(4); this.view.setFloat32(this.offset, value, true); this.offset += 4; }
+    f64(value) { this.reserve(8); this.view.setFloat64(this.offset, value, true); this.offset += 8; }
+
+    string(value, lengthType) {
+      const encoded = textEncoder.encode(value);
+      this[lengthType](encoded.length);
+      this.reserve(encoded.length);
+      this.bytes.set(encoded, this.offset);
+      this.offset += encoded.length;
+    }
+
+    id(value) {
+      if (typeof value === 'number') {
+        this.u8(0);
+        this.f64(value);
+      } else {
+        this.u8(1);
+        this.string(String(value), 'u32');
+      }
+    }
+
+    finish() {
+      return this.bytes.slice(0, this.offset);
+    }
+  }
+
+  class ByteReader {
+    // ArrayBuffer (browser) or Uint8Array/Buffer (Node)
+    constructor(data) {
+      const bytes = ArrayBuffer.isView(data)
+        ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+        : new Uint8Array(data);
+      this.bytes = bytes;
+      this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      this.offset = 0;
+    }
+
+    u8() { const value = this.view.getUint8(this.offset); this.offset += 1; return value; }
+    u32() { const value = this.view.getUint32(this.offset, true); this.offset += 4; return value; }
+    f32() { const value = this.view.getFloat32(this.offset, true); this.offset += 4; return value; }
+    f64() { const value = this.view.getFloat64(this.offset, true); this.offset += 8; return value; }
+
+    string(lengthType) {
+      const length = this[lengthType]();
+      const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+      this.offset += length;
+      return value;
+    }
+
+    id() {
+      return this.u8() === 0 ? this.f64() : this.string('u32');
+    }
+  }
+
+  function isPacked(value, type) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return false;
+    return type !== 'u32' || (Number.isInteger(value) && value >= 0 && value <= 0xffffffff);
+  }
+
+  // Fields of a record that are not packed as numbers
+  function getExtras(collection, record) {
+    const extras = {};
+    Object.keys(record).forEach(key => {
+      if (key === 'id') return;
+      const field = FIELDS[collection].find(([name]) => name === key);
+      if (!field || !isPacked(record[key], field[1])) {
+        extras[key] = record[key];
+      }
+    });
+    return extras;
+  }
+
+  class StateEncoder {
+    constructor() {
+      // JSON of the extras last sent, per collection and body id
+      this.extras = {};
+      COLLECTIONS.forEach(collection => { this.extras[collection] = new Map(); });
+    }
+
+    // Payload of DeltaTracker.next() to a Uint8Array
+    encode(payload) {
+      const writer = new ByteWriter();
+      if (payload.keyframe) {
+        COLLECTIONS.forEach(collection => this.extras[collection].clear());
+      }
+
+      writer.u8(VERSION);
+      writer.u8(payload.keyframe ? KEYFRAME : 0);
+      writer.u32(payload.seq);
+      writer.u32(payload.tick);
+      writer.f64(payload.serverTime);
+
+      COLLECTIONS.forEach(collection => {
+        const records = Object.values(payload[collection] || {});
+        const fields = FIELDS[collection];
+        const sentExtras = this.extras[collection];
+        writer.u32(records.length);
+
+        records.forEach(record => {
+          const extras = JSON.stringify(getExtras(collection, record));
+          const sendExtras = sentExtras.get(String(record.id)) !== extras;
+          let mask = sendExtras ? EXTRAS : 0;
+          fields.forEach(([name, type], index) => {
+            if (isPacked(record[name], type)) mask |= 1 << index;
+          });
+
+          writer.id(record.id);
+          writer.u8(mask);
+          fields.forEach(([name, type], index) => {
+            if (mask & (1 << index)) writer[type](record[name]);
+          });
+          if (sendExtras) {
+            writer.string(extras, 'u32');
+            sentExtras.set(String(record.id), extras);
+          }
+        });
+      });
+
+      ID_LISTS.forEach(list => {
+        COLLECTIONS.forEach(collection => {
+          const ids = (payload[list] && payload[list][collection]) || [];
+          writer.u32(ids.length);
+          ids.forEach(id => writer.id(id));
+          if (list === 'removed') {
+            ids.forEach(id => this.extras[collection].delete(String(id)));
+          }
+        });
+      });
+
+      return writer.finish();
+    }
+  }
+
+  class StateDecoder {
+    constructor() {
+      // Extras received, per collection and body id
+      this.extras = {};
+      COLLECTIONS.forEach(collection => { this.extras[collection] = new Map(); });
+    }
+
+    // Encoded payload back to the object DeltaTracker.next() returned
+    decode(data) {
+      const reader = new ByteReader(data);
+      const version = reader.u8();
+      if (version !== VERSION) {
+        throw new Error(`Unsupported state encoding version ${version}`);
+      }
+
+      const keyframe = (reader.u8() & KEYFRAME) !== 0;
+      if (keyframe) {
+        COLLECTIONS.forEach(collection => this.extras[collection].clear());
+      }
+
+      const payload = {
+        keyframe,
+        seq: reader.u32(),
+        tick: reader.u32(),
+        serverTime: reader.f64()
+      };
+
+      COLLECTIONS.forEach(collection => {
+        const records = {};
+        const fields = FIELDS[collection];
+        const knownExtras = this.extras[collection];
+        const count = reader.u32();
+
+        for (let i = 0; i < count; i++) {
+          const id = reader.id();
+          const mask = reader.u8();
+          const record = { id };
+          fields.forEach(([name, type], index) => {
+            if (mask & (1 << index)) record[name] = reader[type]();
+          });
+          if (mask & EXTRAS) {
+            knownExtras.set(String(id), JSON.parse(reader.string('u32')));
+          }
+          records[id] = Object.assign(record, knownExtras.get(String(id)));
+        }
+        payload[collection] = records;
+      });
+
+      ID_LISTS.forEach(list => {
+        payload[list] = {};
+        COLLECTIONS.forEach(collection => {
+          const count = reader.u32();
+          if (count === 0) return;
+
+          const ids = [];
+          for (let i = 0; i < count; i++) ids.push(reader.id());
+          payload[list][collection] = ids;
+          if (list === 'removed') {
+            ids.forEach(id => this.extras[collection].delete(String(id)));
+          }
+        });
+      });
+
+      return payload;
+    }
+  }
+
+  return { VERSION, StateEncoder, StateDecoder };
+});
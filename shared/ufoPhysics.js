@@ -0,0 +1,58 @@
+// UFO movement model shared by the server simulation (GameLogic) and the
+// client-side prediction of the local player's UFO. Loaded with require() on
+// the server and as a plain <script> (window.UfoPhysics) in the browser.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.UfoPhysics = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Fixed physics timestep, matches Matter's base delta so no time correction applies
+  const TIMESTEP = 1000 / 60;
+
+  // Physics body options of a UFO
+  const UFO_BODY = {
+    radius: 25,
+    friction: 0.2,
+    frictionAir: 0.05,
+    restitution: 0.2,
+    density: 0.0008
+  };
+
+  // Force applied per tick for each pressed direction
+  const UFO_FORCE = 0.003;
+
+  // Force produced by a WASD input state
+  function getInputForce(input, forceAmount = UFO_FORCE) {
+    let fx = 0, fy = 0;
+
+    if (input) {
+      if (input.up) fy -= forceAmount;
+      if (input.down) fy += forceAmount;
+      if (input.left) fx -= forceAmount;
+      if (input.right) fx += forceAmount;
+    }
+
+    return { x: fx, y: fy };
+  }
+
+  // Advance a UFO state { x, y, vx, vy } by one tick the way Matter.Body.update
+  // does (Verlet integration with air friction, gravity and the input force).
+  // params: { mass, frictionAir, forceAmount, gravity: { x, y, scale } }
+  function step(state, input, params) {
+    const force = getInputForce(input, params.forceAmount);
+    const gravity = params.gravity || { x: 0, y: 0, scale: 0.001 };
+    const fx = force.x + params.mass * gravity.x * gravity.scale;
+    const fy = force.y + params.mass * gravity.y * gravity.scale;
+    const damping = 1 - params.frictionAir;
+    const dtSquared = TIMESTEP * TIMESTEP;
+
+    const vx = state.vx * damping + (fx / params.mass) * dtSquared;
+    const vy = state.vy * damping + (fy / params.mass) * dtSquared;
+
+    return { x: state.x + vx, y: state.y + vy, vx, vy };
+  }
+
+  return { TIMESTEP, UFO_BODY, UFO_FORCE, getInputForce, step };
+});